@@ -0,0 +1,20 @@
+const { OAuth2Client } = require('google-auth-library');
+
+// Google ID tokens issued for GOOGLE_CLIENT_ID (defaults to this API's client)
+
+const CLIENT_ID = process.env.GOOGLE_CLIENT_ID || "690786630324-tktkfgsps7regkqqmu4vkp4mu5hukoao.apps.googleusercontent.com";
+const oauthClient = new OAuth2Client(CLIENT_ID);
+
+async function verify(token) {
+  const ticket = await oauthClient.verifyIdToken({
+    idToken: token,
+    audience: CLIENT_ID,
+  });
+  return ticket.getPayload();
+}
+
+module.exports = {
+  name: 'google',
+  issuers: ['accounts.google.com', 'https://accounts.google.com'],
+  verify,
+};
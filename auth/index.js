@@ -0,0 +1,52 @@
+const { decodeJWT } = require('./jwt');
+
+// Bearer token verification. AUTH_PROVIDERS lists the identity providers whose
+// tokens are accepted, comma-separated (default google):
+//   google - Google ID tokens for GOOGLE_CLIENT_ID
+//   jwks   - RS256/ES256 JWTs checked against a local JWKS file or URL,
+//            see jwksProvider.js for its settings
+//
+// Every provider exposes:
+//   name
+//   issuers         -> the `iss` values of the tokens it verifies
+//   verify(token)   -> the token's claims (at least email or sub), throws if invalid
+//
+// With one provider every token goes to it. With several, a token goes to the
+// provider of its issuer.
+
+const providers = {
+  google: './googleProvider',
+  jwks: './jwksProvider',
+};
+
+const names = (process.env.AUTH_PROVIDERS || 'google').split(',').map((name) => name.trim()).filter(Boolean);
+
+if (names.length === 0) {
+  throw new Error('AUTH_PROVIDERS must name at least one provider');
+}
+for (const name of names) {
+  if (!providers[name]) {
+    throw new Error(`Unknown auth provider "${name}" in AUTH_PROVIDERS, expected any of: ${Object.keys(providers).join(', ')}`);
+  }
+}
+
+// Only the selected providers are loaded, so e.g. jwks alone never talks to Google
+const active = names.map((name) => require(providers[name]));
+
+function providerFor(token) {
+  if (active.length === 1) return active[0];
+
+  const { iss } = decodeJWT(token).payload;
+  const provider = active.find((candidate) => candidate.issuers.includes(iss));
+  if (!provider) {
+    throw new Error(`Token issuer ${iss} is not trusted`);
+  }
+  return provider;
+}
+
+// The claims of a valid token; throws with the reason otherwise
+async function verify(token) {
+  return providerFor(token).verify(token);
+}
+
+module.exports = { verify };
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { ALGORITHMS, verifyJWT } = require('./jwt');
+
+// JWTs from an identity provider of our own, for on-prem deployments and
+// integration tests. Tokens are RS256 or ES256, signed by a key from a JWKS:
+//
+//   JWKS_FILE or JWKS_URL           where the public keys are (one of them is required)
+//   JWT_ISSUERS                     accepted `iss` values, comma-separated (required)
+//   JWT_AUDIENCES                   accepted `aud` values, comma-separated (required)
+//   JWT_CLOCK_TOLERANCE_SECONDS     leeway for exp and nbf (default 30)
+//   JWKS_CACHE_SECONDS              how long keys are kept before reading them again (default 600)
+//
+// A token signed with a key that is not known yet makes the keys be read again
+// (at most every REFRESH_SECONDS), so rotated keys are picked up right away.
+
+const env = process.env;
+
+function list(value = '') {
+  return value.split(',').map((entry) => entry.trim()).filter(Boolean);
+}
+
+const ISSUERS = list(env.JWT_ISSUERS);
+const AUDIENCES = list(env.JWT_AUDIENCES);
+const CLOCK_TOLERANCE = Number(env.JWT_CLOCK_TOLERANCE_SECONDS || 30);
+const CACHE_SECONDS = Number(env.JWKS_CACHE_SECONDS || 600);
+const REFRESH_SECONDS = 30;
+
+if (!env.JWKS_FILE && !env.JWKS_URL) {
+  throw new Error('The jwks auth provider needs JWKS_FILE or JWKS_URL');
+}
+if (ISSUERS.length === 0 || AUDIENCES.length === 0) {
+  throw new Error('The jwks auth provider needs JWT_ISSUERS and JWT_AUDIENCES');
+}
+
+let keys = null; // kid -> { key, jwk }
+let loadedAt = 0;
+let loading = null;
+
+async function readJWKS() {
+  if (env.JWKS_FILE) {
+    return JSON.parse(await fs.promises.readFile(env.JWKS_FILE, 'utf8'));
+  }
+  const response = await fetch(env.JWKS_URL, { signal: AbortSignal.timeout(5000) });
+  if (!response.ok) {
+    throw new Error(`JWKS_URL answered ${response.status}`);
+  }
+  return response.json();
+}
+
+// Signing keys of the algorithms we accept; encryption keys are left out
+async function loadKeys() {
+  const jwks = await readJWKS();
+  if (!jwks || !Array.isArray(jwks.keys)) {
+    throw new Error('JWKS has no "keys" array');
+  }
+  const kinds = Object.values(ALGORITHMS).map(({ kty }) => kty);
+  const loaded = new Map();
+  for (const jwk of jwks.keys) {
+    if (!kinds.includes(jwk.kty) || jwk.use === 'enc') continue;
+    loaded.set(jwk.kid, { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), jwk });
+  }
+  keys = loaded;
+  loadedAt = Date.now();
+}
+
+// Concurrent requests share one read of the keys
+function refreshKeys() {
+  if (!loading) {
+    loading = loadKeys().finally(() => {
+      loading = null;
+    });
+  }
+  return loading;
+}
+
+async function findKey(kid) {
+  const age = (Date.now() - loadedAt) / 1000;
+  if (!keys || age > CACHE_SECONDS || (!keys.has(kid) && age > REFRESH_SECONDS)) {
+    await refreshKeys();
+  }
+  // A token without a kid can only be meant for the one key there is
+  if (kid === undefined && keys.size === 1) {
+    return [...keys.values()][0];
+  }
+  return keys.get(kid) || null;
+}
+
+async function verify(token) {
+  return verifyJWT(token, {
+    findKey,
+    issuers: ISSUERS,
+    audiences: AUDIENCES,
+    clockTolerance: CLOCK_TOLERANCE,
+  });
+}
+
+module.exports = {
+  name: 'jwks',
+  issuers: ISSUERS,
+  verify,
+};
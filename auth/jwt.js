@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+// Just enough JWT (RFC 7519) to verify signed tokens against public keys from
+// a JWKS. Only asymmetric algorithms are accepted, so neither "none" nor an
+// HMAC signed with a public key can get through.
+
+const ALGORITHMS = {
+  RS256: { hash: 'sha256', kty: 'RSA' },
+  // JWS carries ECDSA signatures as raw r || s rather than DER
+  ES256: { hash: 'sha256', kty: 'EC', crv: 'P-256', dsaEncoding: 'ieee-p1363' },
+};
+
+class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+  }
+}
+
+function decodePart(part) {
+  const value = JSON.parse(Buffer.from(part, 'base64url').toString());
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new TokenError('Token is not a JWT');
+  }
+  return value;
+}
+
+// Header and claims of a compact JWT, without checking anything
+function decodeJWT(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new TokenError('Token is not a JWT');
+  }
+  try {
+    return {
+      header: decodePart(parts[0]),
+      payload: decodePart(parts[1]),
+      signed: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url'),
+    };
+  } catch (err) {
+    if (err instanceof TokenError) throw err;
+    throw new TokenError('Token is not a JWT');
+  }
+}
+
+function checkClaims(payload, { issuers, audiences, clockTolerance }) {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (!issuers.includes(payload.iss)) {
+    throw new TokenError(`Token issuer ${payload.iss} is not trusted`);
+  }
+  const audience = [].concat(payload.aud);
+  if (!audience.some((value) => audiences.includes(value))) {
+    throw new TokenError('Token audience is not accepted');
+  }
+  if (typeof payload.exp !== 'number') {
+    throw new TokenError('Token has no expiry');
+  }
+  if (now > payload.exp + clockTolerance) {
+    throw new TokenError('Token has expired');
+  }
+  if (typeof payload.nbf === 'number' && now < payload.nbf - clockTolerance) {
+    throw new TokenError('Token is not valid yet');
+  }
+}
+
+// Verify a token and return its claims. `findKey(kid)` resolves to { key, jwk }
+// (a public KeyObject and the JWK it came from) or null. Throws a TokenError
+// when the token is not valid.
+async function verifyJWT(token, { findKey, issuers, audiences, clockTolerance = 0 }) {
+  const { header, payload, signed, signature } = decodeJWT(token);
+
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new TokenError(`Token algorithm ${header.alg} is not accepted, expected one of: ${Object.keys(ALGORITHMS).join(', ')}`);
+  }
+
+  const found = await findKey(header.kid);
+  if (!found) {
+    throw new TokenError('No trusted key matches the token');
+  }
+  const { key, jwk } = found;
+  if (jwk.kty !== algorithm.kty || (algorithm.crv && jwk.crv !== algorithm.crv) || (jwk.alg && jwk.alg !== header.alg)) {
+    throw new TokenError(`The key of the token cannot verify ${header.alg} signatures`);
+  }
+
+  const options = algorithm.dsaEncoding ? { key, dsaEncoding: algorithm.dsaEncoding } : key;
+  if (!crypto.verify(algorithm.hash, Buffer.from(signed), options, signature)) {
+    throw new TokenError('Token signature is invalid');
+  }
+
+  checkClaims(payload, { issuers, audiences, clockTolerance });
+  return payload;
+}
+
+module.exports = {
+  ALGORITHMS,
+  TokenError,
+  decodeJWT,
+  verifyJWT,
+};
@@ -0,0 +1,194 @@
+const { getRedisClient, featureEnabled } = require('./redisConnection');
+const { diffPlans } = require('./planDiff');
+
+// Real-time feed of plan changes for the UI and downstream caches, served as
+// Server-Sent Events and over WebSockets (see index.js). Every change is added
+// to a Redis stream, so subscribers of any API instance see the changes made
+// through all of them. The stream entry id is the event id: a subscriber that
+// reconnects with the last id it saw gets everything it missed, as long as the
+// stream still holds it (CHANGE_FEED_MAX_LENGTH entries, default 10000).
+//
+// Each instance reads the stream on one blocking connection of its own while it
+// has subscribers and hands the events out to them.
+
+const FEED = '{plan-changes}:feed';
+const MAX_LENGTH = Number(process.env.CHANGE_FEED_MAX_LENGTH || 10000);
+const BLOCK_MS = 5000;
+const PAGE_SIZE = 500;
+// Fields subscribers can filter on
+const FILTERS = ['_org', 'planType'];
+
+const subscribers = new Set();
+let reader = null;
+
+// Set CHANGE_FEED=false to run without it (see redisConnection.js)
+function isEnabled() {
+  return featureEnabled('CHANGE_FEED');
+}
+
+function isEventId(value) {
+  return /^\d+-\d+$/.test(value);
+}
+
+// Stream ids are "<ms>-<sequence>"
+function compareIds(a, b) {
+  const [aTime, aSeq] = a.split('-').map(BigInt);
+  const [bTime, bSeq] = b.split('-').map(BigInt);
+  if (aTime !== bTime) return aTime < bTime ? -1 : 1;
+  if (aSeq !== bSeq) return aSeq < bSeq ? -1 : 1;
+  return 0;
+}
+
+// A stored change { type: 'created' | 'updated' | 'deleted', objectId, etag, user }
+// as the feed and webhooks send it: with the actor, the _org and planType of
+// the plan and, for updates, the diff from the previous version. `plans` are
+// the plan as the change left it (null after a delete) and as it was before
+// (null before a create): { plan, previous }.
+function describeChange({ type, objectId, etag, user }, { plan = null, previous = null } = {}) {
+  const source = plan || previous || {};
+  return {
+    type,
+    objectId,
+    etag,
+    actor: user,
+    _org: source._org || null,
+    planType: source.planType || null,
+    diff: type === 'updated' && plan && previous ? diffPlans(previous, plan) : null,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// Add a described change to the feed. The plan is already stored at this
+// point, so a failure is only logged.
+async function publishEvent(event) {
+  if (!isEnabled()) return;
+
+  try {
+    await getRedisClient().xAdd(FEED, '*', { event: JSON.stringify(event) }, {
+      TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: MAX_LENGTH },
+    });
+  } catch (err) {
+    console.error(`Error adding ${event.type} event for plan ${event.objectId} to the change feed:`, err);
+  }
+}
+
+// { _org, planType } from a query string; fields left out match everything
+function parseFilter(query) {
+  return Object.fromEntries(FILTERS
+    .filter((field) => typeof query[field] === 'string' && query[field] !== '')
+    .map((field) => [field, query[field]]));
+}
+
+function matches(filter, event) {
+  return Object.entries(filter).every(([field, value]) => event[field] === value);
+}
+
+function deliver(subscriber, id, event) {
+  subscriber.lastId = id;
+  if (matches(subscriber.filter, event)) subscriber.send(id, event);
+}
+
+function dispatch(id, event) {
+  for (const subscriber of subscribers) {
+    if (subscriber.live) {
+      deliver(subscriber, id, event);
+    } else {
+      subscriber.buffered.push([id, event]);
+    }
+  }
+}
+
+function toEvent({ message }) {
+  return JSON.parse(message.event);
+}
+
+async function readFeed() {
+  const blockingClient = getRedisClient().duplicate();
+  blockingClient.on('error', (err) => console.error('Redis Client Error', err));
+  await blockingClient.connect();
+
+  try {
+    const [latest] = await blockingClient.xRevRange(FEED, '+', '-', { COUNT: 1 });
+    let lastId = latest ? latest.id : '0-0';
+    while (subscribers.size > 0) {
+      const reply = await blockingClient.xRead({ key: FEED, id: lastId }, { BLOCK: BLOCK_MS, COUNT: PAGE_SIZE });
+      for (const entry of reply ? reply[0].messages : []) {
+        lastId = entry.id;
+        dispatch(entry.id, toEvent(entry));
+      }
+    }
+  } finally {
+    await blockingClient.quit();
+  }
+}
+
+// Read the stream while there are subscribers. If reading fails they are all
+// closed; they reconnect with their last event id and miss nothing.
+function startReader() {
+  if (reader) return;
+  reader = readFeed()
+    .catch((err) => {
+      console.error('Error reading the change feed from Redis:', err);
+      for (const subscriber of subscribers) subscriber.close();
+      subscribers.clear();
+    })
+    .finally(() => {
+      reader = null;
+      // Someone subscribed just as the last one left
+      if (subscribers.size > 0) startReader();
+    });
+}
+
+// Send the events after `lastEventId` that are still in the stream, after a
+// reset() if it is older than the stream, as some may have been trimmed away
+async function replay(subscriber, lastEventId, reset) {
+  const [first] = await getRedisClient().xRange(FEED, '-', '+', { COUNT: 1 });
+  if (first && compareIds(first.id, lastEventId) > 0) reset();
+
+  let start = `(${lastEventId}`;
+  for (;;) {
+    const entries = await getRedisClient().xRange(FEED, start, '+', { COUNT: PAGE_SIZE });
+    for (const entry of entries) {
+      deliver(subscriber, entry.id, toEvent(entry));
+    }
+    if (entries.length < PAGE_SIZE) return;
+    start = `(${entries[entries.length - 1].id}`;
+  }
+}
+
+// Subscribe to the changes matching `filter` ({ _org, planType }).
+// `send(id, event)` gets every event, starting after `lastEventId` if given;
+// `reset()` is called first when events since then may be gone, and
+// `close()` when the feed stops. Returns the function that unsubscribes.
+async function subscribe({ filter = {}, lastEventId = null }, { send, reset, close }) {
+  // Events arriving while the missed ones are replayed wait in `buffered`
+  const subscriber = { filter, send, close, live: false, buffered: [], lastId: lastEventId };
+  subscribers.add(subscriber);
+  const unsubscribe = () => subscribers.delete(subscriber);
+  startReader();
+
+  try {
+    if (lastEventId) await replay(subscriber, lastEventId, reset);
+  } catch (err) {
+    unsubscribe();
+    throw err;
+  }
+
+  for (const [id, event] of subscriber.buffered) {
+    if (!subscriber.lastId || compareIds(id, subscriber.lastId) > 0) {
+      deliver(subscriber, id, event);
+    }
+  }
+  subscriber.buffered = [];
+  subscriber.live = true;
+  return unsubscribe;
+}
+
+module.exports = {
+  isEnabled,
+  isEventId,
+  describeChange,
+  publishEvent,
+  parseFilter,
+  subscribe,
+};
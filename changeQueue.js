@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { getRedisClient, transaction, featureEnabled } = require('./redisConnection');
+
+// Durable queue of plan changes on Redis lists. The API pushes an event for
+// every create/update/delete; worker.js consumes them and keeps the search
+// index up to date, so indexing never sits in the request path.
+//
+// A worker moves each event atomically (BLMOVE) onto its own processing list
+// and only removes it from there once it has been handled, so events survive
+// a crashed worker. Failed events are retried with exponential backoff through
+// a sorted set and end up on the dead-letter list after INDEX_MAX_ATTEMPTS.
+
+const QUEUE = '{plan-changes}:queue';
+const RETRY = '{plan-changes}:retry'; // sorted set, score = when to retry
+const DEAD = '{plan-changes}:dead';
+
+const MAX_ATTEMPTS = Number(process.env.INDEX_MAX_ATTEMPTS || 5);
+
+function processingKey(worker) {
+  return `{plan-changes}:processing:${worker}`;
+}
+
+// Set SEARCH_INDEXING=false to run without Redis-backed search (see redisConnection.js)
+function isEnabled() {
+  return featureEnabled('SEARCH_INDEXING');
+}
+
+// Queue a change: { type: 'created' | 'updated' | 'deleted' | 'reindex', objectId, etag, user }.
+// The plan is already stored at this point, so a queue failure is only logged;
+// `node worker.js reindex` brings the index back in line.
+async function publishChange(change) {
+  if (!isEnabled()) return;
+
+  const event = {
+    id: crypto.randomUUID(),
+    ...change,
+    timestamp: new Date().toISOString(),
+    attempts: 0,
+  };
+  try {
+    await getRedisClient().lPush(QUEUE, JSON.stringify(event));
+  } catch (err) {
+    console.error(`Error queueing ${change.type} event for plan ${change.objectId}:`, err);
+  }
+}
+
+// Put back whatever a previous run of this worker took but never finished
+async function recoverProcessing(worker) {
+  let recovered = 0;
+  while (await getRedisClient().lMove(processingKey(worker), QUEUE, 'LEFT', 'RIGHT')) {
+    recovered += 1;
+  }
+  return recovered;
+}
+
+// Wait up to `timeout` seconds for the next event. Blocks its connection, so
+// pass a client dedicated to this.
+async function nextChange(blockingClient, worker, timeout) {
+  return blockingClient.blMove(QUEUE, processingKey(worker), 'RIGHT', 'LEFT', timeout);
+}
+
+async function ack(worker, raw) {
+  await getRedisClient().lRem(processingKey(worker), 1, raw);
+}
+
+// Schedule a retry, or dead-letter the event once it ran out of attempts
+async function fail(worker, raw, error) {
+  let event;
+  try {
+    event = JSON.parse(raw);
+  } catch (err) {
+    event = { raw };
+  }
+  event.attempts = (event.attempts || 0) + 1;
+  event.lastError = error.message;
+
+  const multi = transaction();
+  multi.lRem(processingKey(worker), 1, raw);
+  if (event.raw !== undefined || event.attempts >= MAX_ATTEMPTS) {
+    multi.lPush(DEAD, JSON.stringify({ ...event, failedAt: new Date().toISOString() }));
+  } else {
+    const delay = Math.min(2 ** event.attempts * 1000, 60000);
+    multi.zAdd(RETRY, { score: Date.now() + delay, value: JSON.stringify(event) });
+  }
+  await multi.exec();
+}
+
+// Move retries that are due back onto the queue
+async function promoteRetries() {
+  const due = await getRedisClient().zRangeByScore(RETRY, 0, Date.now());
+  for (const raw of due) {
+    // Only the worker that removes the entry re-queues it
+    if (await getRedisClient().zRem(RETRY, raw)) {
+      await getRedisClient().lPush(QUEUE, raw);
+    }
+  }
+  return due.length;
+}
+
+// Move every dead-lettered event back onto the queue with a fresh attempt
+// count. Replaying twice at once may queue an event twice, which indexing
+// tolerates since it always reads the current plan.
+async function replayDead() {
+  const entries = await getRedisClient().lRange(DEAD, 0, -1);
+  let replayed = 0;
+  for (const raw of entries) {
+    const event = JSON.parse(raw);
+    // Messages that were not valid JSON stay dead-lettered
+    if (event.raw !== undefined) continue;
+
+    delete event.lastError;
+    delete event.failedAt;
+    await transaction()
+      .lRem(DEAD, 1, raw)
+      .lPush(QUEUE, JSON.stringify({ ...event, attempts: 0 }))
+      .exec();
+    replayed += 1;
+  }
+  return replayed;
+}
+
+async function stats() {
+  const client = getRedisClient();
+  const [queued, retrying, dead] = await Promise.all([
+    client.lLen(QUEUE),
+    client.zCard(RETRY),
+    client.lLen(DEAD),
+  ]);
+  return { queued, retrying, dead };
+}
+
+module.exports = {
+  isEnabled,
+  publishChange,
+  recoverProcessing,
+  nextChange,
+  ack,
+  fail,
+  promoteRetries,
+  replayDead,
+  stats,
+};
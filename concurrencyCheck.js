@@ -0,0 +1,133 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Concurrency harness for the compare-and-set writes. Runs against a live API:
+//
+//   API_TOKEN=<bearer token> node concurrencyCheck.js
+//
+// It creates a throwaway plan and then:
+//   1. fires WRITERS PATCH requests at once, all with the same If-Match; exactly
+//      one may win, every other one has to get a 412
+//   2. lets WRITERS clients each add 1 to planCostShares.copay INCREMENTS times,
+//      re-reading and retrying whenever they get a 412; the final copay has to
+//      equal the number of increments, or an update was lost
+// and deletes the plan again. Exits with 1 if any check fails.
+//
+//   API_URL      base URL of the API (default http://localhost:3000/api/v1)
+//   WRITERS      concurrent clients (default 20)
+//   INCREMENTS   increments per client (default 5)
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 3000}/api/v1`;
+const API_TOKEN = process.env.API_TOKEN;
+const WRITERS = Number(process.env.WRITERS || 20);
+const INCREMENTS = Number(process.env.INCREMENTS || 5);
+
+async function request(method, path, body, headers = {}) {
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${API_TOKEN}`,
+      ...(body === undefined ? {} : { 'Content-Type': 'application/merge-patch+json' }),
+      ...headers,
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await response.text();
+  return { status: response.status, etag: response.headers.get('etag'), body: text ? JSON.parse(text) : null };
+}
+
+// A plan whose objectIds are all unique to this run
+function testPlan(objectId) {
+  const id = (name) => `${objectId}-${name}`;
+  return {
+    planCostShares: { deductible: 2000, _org: 'example.com', copay: 0, objectId: id('pcs'), objectType: 'membercostshare' },
+    linkedPlanServices: [{
+      linkedService: { _org: 'example.com', objectId: id('service'), objectType: 'service', name: 'Concurrency check' },
+      planserviceCostShares: { deductible: 10, _org: 'example.com', copay: 0, objectId: id('pscs'), objectType: 'membercostshare' },
+      _org: 'example.com',
+      objectId: id('planservice'),
+      objectType: 'planservice',
+    }],
+    _org: 'example.com',
+    objectId,
+    objectType: 'plan',
+    planType: 'inNetwork',
+    creationDate: '01-01-2024',
+  };
+}
+
+// Everyone PATCHes against the same ETag: one 200, the rest 412
+async function sameETagRace(objectId) {
+  const { etag } = await request('GET', `/plans/${objectId}`);
+  const responses = await Promise.all(Array.from({ length: WRITERS }, (_, writer) => (
+    request('PATCH', `/plans/${objectId}`, { planType: `race-${writer}` }, { 'If-Match': etag })
+  )));
+
+  const statuses = responses.map((response) => response.status);
+  const won = statuses.filter((status) => status === 200).length;
+  const lost = statuses.filter((status) => status === 412).length;
+  console.log(`Same-ETag race: ${won} succeeded, ${lost} got 412, others: ${statuses.length - won - lost}`);
+  return won === 1 && lost === WRITERS - 1;
+}
+
+// Read-modify-write loop retrying on 412 until `INCREMENTS` increments landed
+async function incrementer(objectId) {
+  let conflicts = 0;
+  for (let done = 0; done < INCREMENTS;) {
+    const current = await request('GET', `/plans/${objectId}`);
+    const copay = current.body.planCostShares.copay;
+    const patched = await request('PATCH', `/plans/${objectId}`, { planCostShares: { copay: copay + 1 } }, {
+      'If-Match': current.etag,
+    });
+
+    if (patched.status === 200) {
+      done += 1;
+    } else if (patched.status === 412) {
+      conflicts += 1;
+    } else {
+      throw new Error(`Unexpected ${patched.status} from PATCH: ${JSON.stringify(patched.body)}`);
+    }
+  }
+  return conflicts;
+}
+
+async function incrementRace(objectId) {
+  const conflicts = await Promise.all(Array.from({ length: WRITERS }, () => incrementer(objectId)));
+  const { body } = await request('GET', `/plans/${objectId}`);
+  const expected = WRITERS * INCREMENTS;
+  const total = conflicts.reduce((sum, count) => sum + count, 0);
+  console.log(`Increments: copay is ${body.planCostShares.copay}, expected ${expected} (${total} retries after 412)`);
+  return body.planCostShares.copay === expected;
+}
+
+async function main() {
+  if (!API_TOKEN) {
+    throw new Error('Set API_TOKEN to a bearer token the API accepts');
+  }
+
+  const objectId = `concurrency-check-${Date.now()}`;
+  const created = await request('POST', '/plans', testPlan(objectId), { 'Content-Type': 'application/json' });
+  if (created.status !== 201) {
+    throw new Error(`Could not create the test plan (${created.status}): ${JSON.stringify(created.body)}`);
+  }
+
+  try {
+    const raceOk = await sameETagRace(objectId);
+    const incrementsOk = await incrementRace(objectId);
+    if (!raceOk || !incrementsOk) {
+      console.error('FAILED: concurrent writes were not serialized');
+      process.exitCode = 1;
+    } else {
+      console.log('OK: no lost updates');
+    }
+  } finally {
+    await request('DELETE', `/plans/${objectId}`);
+    await request('DELETE', `/services/${objectId}-service`);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
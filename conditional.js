@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+
+// ETags and conditional requests (RFC 9110, section 13).
+//
+// ETags are strong, quoted sha1 hashes of the canonical JSON of a resource, so
+// the same document gets the same ETag whatever order its keys were stored in.
+// Last-Modified comes from the plan history (the time of the latest version).
+//
+// The preconditions are evaluated in the order the RFC gives:
+//   1. If-Match, or If-Unmodified-Since when there is no If-Match  -> 412
+//   2. If-None-Match, or If-Modified-Since on a GET without it      -> 304 on reads, 412 on writes
+// Writes on routes that require a precondition (see PRECONDITIONS below) get a
+// 428 when they send no conditional header at all.
+
+// JSON with object keys sorted at every level
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function generateETag(value) {
+  return `"${crypto.createHash('sha1').update(canonicalJSON(value)).digest('hex')}"`;
+}
+
+// Parse an If-Match / If-None-Match value: '*' or a list of { weak, opaque }.
+// Unquoted tags (as older clients of this API send them) are taken as strong.
+function parseETags(header) {
+  if (header.trim() === '*') return '*';
+
+  const tags = [];
+  const pattern = /\s*(W\/)?("[^"]*"|[^",\s]+)\s*(?:,|$)/gy;
+  let match;
+  while (pattern.lastIndex < header.length && (match = pattern.exec(header))) {
+    const opaque = match[2].startsWith('"') ? match[2] : `"${match[2]}"`;
+    tags.push({ weak: Boolean(match[1]), opaque });
+  }
+  return tags;
+}
+
+// Strong comparison (If-Match) never matches a weak tag; weak comparison
+// (If-None-Match) only compares the opaque part.
+function matchesETag(header, etag, { weak = false } = {}) {
+  const tags = parseETags(header);
+  if (tags === '*') return etag !== null;
+  if (etag === null) return false;
+
+  const current = parseETags(etag)[0];
+  return tags.some((tag) => tag.opaque === current.opaque && (weak || (!tag.weak && !current.weak)));
+}
+
+// Whether two ETags name the same representation, ignoring W/ and quotes
+function sameETag(a, b) {
+  if (!a || !b) return false;
+  const [left] = parseETags(a);
+  const [right] = parseETags(b);
+  return Boolean(left && right && left.opaque === right.opaque);
+}
+
+// HTTP dates only carry whole seconds
+function toSeconds(time) {
+  return Math.floor(time / 1000);
+}
+
+function parseHTTPDate(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : toSeconds(time);
+}
+
+function httpDate(timestamp) {
+  return new Date(timestamp).toUTCString();
+}
+
+// Which writes have to be conditional, by route. Routes that replace what is
+// stored are required by default; deletes and adding to a plan are optional.
+// Deployments can change any of them with PRECONDITIONS, e.g.
+//   PRECONDITIONS=plan.delete=required,service.delete=required
+const PRECONDITION_DEFAULTS = {
+  'plan.put': 'required',
+  'plan.patch': 'required',
+  'plan.rollback': 'required',
+  'plan.delete': 'optional',
+  'slice.put': 'required',
+  'slice.patch': 'required',
+  'slice.delete': 'required',
+  'linkedPlanService.post': 'optional',
+  'service.put': 'required',
+  'service.patch': 'required',
+  'service.delete': 'optional',
+};
+
+function parsePolicy(value = '') {
+  const policy = { ...PRECONDITION_DEFAULTS };
+  for (const entry of value.split(',').map((part) => part.trim()).filter(Boolean)) {
+    const [route, setting] = entry.split('=').map((part) => part.trim());
+    if (!(route in PRECONDITION_DEFAULTS)) {
+      throw new Error(`Unknown route "${route}" in PRECONDITIONS, expected one of: ${Object.keys(PRECONDITION_DEFAULTS).join(', ')}`);
+    }
+    if (!['required', 'optional'].includes(setting)) {
+      throw new Error(`PRECONDITIONS must set ${route} to required or optional`);
+    }
+    policy[route] = setting;
+  }
+  return policy;
+}
+
+const policy = parsePolicy(process.env.PRECONDITIONS);
+
+function preconditionRequired(route) {
+  if (!(route in policy)) {
+    throw new Error(`No precondition policy for route "${route}"`);
+  }
+  return policy[route] === 'required';
+}
+
+// If-None-Match: * asks for a write that only creates, never replaces
+function isCreateOnly(req) {
+  const ifNoneMatch = req.get('If-None-Match');
+  return ifNoneMatch !== undefined && parseETags(ifNoneMatch) === '*';
+}
+
+// Whether a write says which state it expects to change: If-Match, a valid
+// If-Unmodified-Since, or If-None-Match: * for a create. Any other
+// If-None-Match only rules states out, and an unparseable date is ignored, so
+// neither meets a required policy.
+function isConditional(req) {
+  const ifUnmodifiedSince = req.get('If-Unmodified-Since');
+  return req.get('If-Match') !== undefined
+    || (ifUnmodifiedSince !== undefined && parseHTTPDate(ifUnmodifiedSince) !== null)
+    || isCreateOnly(req);
+}
+
+// Evaluate the conditional headers of `req` against the current state of the
+// resource: `etag` (null when it does not exist) and `lastModified` (an ISO
+// timestamp, or null if unknown). With `required`, a request without any
+// precondition is refused. Returns null when the request may go on, otherwise
+// { status, reason } with status 304, 412 or 428.
+function checkPreconditions(req, { etag, lastModified = null }, { required = false } = {}) {
+  const ifMatch = req.get('If-Match');
+  const ifUnmodifiedSince = req.get('If-Unmodified-Since');
+  const ifNoneMatch = req.get('If-None-Match');
+  const ifModifiedSince = req.get('If-Modified-Since');
+  const modified = lastModified ? toSeconds(Date.parse(lastModified)) : null;
+
+  if (required && !isConditional(req)) {
+    return { status: 428, reason: 'Send If-Match with the current ETag' };
+  }
+
+  if (ifMatch !== undefined) {
+    if (!matchesETag(ifMatch, etag)) {
+      return { status: 412, reason: 'ETag does not match' };
+    }
+  } else if (ifUnmodifiedSince !== undefined) {
+    const since = parseHTTPDate(ifUnmodifiedSince);
+    // An invalid date is ignored; a resource without a known date can't be shown unmodified
+    if (since !== null && (modified === null || modified > since)) {
+      return { status: 412, reason: 'Modified since If-Unmodified-Since' };
+    }
+  }
+
+  const read = req.method === 'GET' || req.method === 'HEAD';
+  if (ifNoneMatch !== undefined) {
+    if (matchesETag(ifNoneMatch, etag, { weak: true })) {
+      if (read) return { status: 304 };
+      return { status: 412, reason: isCreateOnly(req) ? 'Resource already exists' : 'ETag matches If-None-Match' };
+    }
+  } else if (read && ifModifiedSince !== undefined) {
+    const since = parseHTTPDate(ifModifiedSince);
+    if (since !== null && modified !== null && modified <= since) {
+      return { status: 304 };
+    }
+  }
+
+  return null;
+}
+
+// Set ETag and Last-Modified on a response
+function setValidators(res, { etag, lastModified = null }) {
+  if (etag) res.set('ETag', etag);
+  if (lastModified) res.set('Last-Modified', httpDate(lastModified));
+}
+
+module.exports = {
+  canonicalJSON,
+  generateETag,
+  parseETags,
+  matchesETag,
+  sameETag,
+  preconditionRequired,
+  isConditional,
+  isCreateOnly,
+  checkPreconditions,
+  setValidators,
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { getRedisClient, featureEnabled } = require('./redisConnection');
+const { canonicalJSON } = require('./conditional');
+
+// Idempotency-Key support for POST and PATCH. The first request with a key runs
+// as usual and, if it succeeds, its response (status, body and ETags) is kept
+// in Redis for IDEMPOTENCY_TTL_SECONDS (default 24h). A retry with the same key
+// and payload gets that response back instead of running again, so a client
+// retrying POST /plans sees its own 201 rather than a 409. Keys are per user.
+//
+//   same key, different payload        -> 422
+//   same key, first request running    -> 409, retry later
+//   first request failed (4xx or 5xx)  -> nothing kept, the key can be used again
+//
+// Replayed responses carry an `Idempotent-Replayed: true` header. Set
+// IDEMPOTENCY=false to ignore the header; without Redis it is off by default
+// (see redisConnection.js).
+
+const TTL_SECONDS = Number(process.env.IDEMPOTENCY_TTL_SECONDS || 24 * 60 * 60);
+// How long a key stays claimed by a request that never finishes (crashed API)
+const PENDING_SECONDS = 60;
+const MAX_KEY_LENGTH = 255;
+const REPLAYED_HEADERS = ['ETag', 'X-Plan-ETag'];
+
+function isEnabled() {
+  return featureEnabled('IDEMPOTENCY');
+}
+
+function storageKey(user, idempotencyKey) {
+  return `idempotency:${user.email || user.sub}:${idempotencyKey}`;
+}
+
+// The same key has to come with the same request: method, URL, media type and body
+function fingerprintOf(req) {
+  const request = [req.method, req.originalUrl, req.get('Content-Type') || null, req.body === undefined ? null : req.body];
+  return crypto.createHash('sha256').update(canonicalJSON(request)).digest('hex');
+}
+
+function replay(res, stored) {
+  for (const [name, value] of Object.entries(stored.headers)) {
+    res.set(name, value);
+  }
+  res.set('Idempotent-Replayed', 'true');
+  res.status(stored.status);
+  return stored.body === undefined ? res.end() : res.json(stored.body);
+}
+
+// Keep the response once it has been sent: successes are stored for
+// replaying, anything else releases the key
+function recordResponse(res, key, fingerprint) {
+  let body;
+  const json = res.json.bind(res);
+  res.json = (value) => {
+    body = value;
+    return json(value);
+  };
+
+  res.on('finish', async () => {
+    try {
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        await getRedisClient().del(key);
+        return;
+      }
+      const headers = Object.fromEntries(REPLAYED_HEADERS
+        .filter((name) => res.get(name) !== undefined)
+        .map((name) => [name, res.get(name)]));
+      const stored = { fingerprint, status: res.statusCode, headers, body };
+      await getRedisClient().set(key, JSON.stringify(stored), { EX: TTL_SECONDS });
+    } catch (err) {
+      console.error('Error storing idempotent response in Redis:', err);
+    }
+  });
+}
+
+// Middleware for POST and PATCH routes, after verifyToken (keys are per user).
+// Passes other methods and requests without the header straight through.
+async function idempotent(req, res, next) {
+  const idempotencyKey = req.get('Idempotency-Key');
+  if (!isEnabled() || idempotencyKey === undefined || !['POST', 'PATCH'].includes(req.method)) {
+    return next();
+  }
+  if (idempotencyKey.length === 0 || idempotencyKey.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Bad Request: Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const key = storageKey(req.user, idempotencyKey);
+  const fingerprint = fingerprintOf(req);
+  try {
+    const pending = JSON.stringify({ fingerprint, pending: true });
+    const claimed = await getRedisClient().set(key, pending, { NX: true, EX: PENDING_SECONDS });
+
+    if (claimed === null) {
+      const raw = await getRedisClient().get(key);
+      const stored = raw && JSON.parse(raw);
+      if (stored && stored.fingerprint !== fingerprint) {
+        return res.status(422).json({ error: 'Unprocessable Entity: Idempotency-Key was already used with a different request' });
+      }
+      if (!stored || stored.pending) {
+        return res.status(409).json({ error: 'Conflict: A request with this Idempotency-Key is still in progress' });
+      }
+      return replay(res, stored);
+    }
+  } catch (err) {
+    console.error('Error checking Idempotency-Key in Redis:', err);
+    return res.status(500).json({ error: 'Internal Server Error: Could not check Idempotency-Key' });
+  }
+
+  recordResponse(res, key, fingerprint);
+  next();
+}
+
+module.exports = { isEnabled, idempotent };
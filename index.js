@@ -1,56 +1,218 @@
+const dotenv = require('dotenv');
+
+// Load .env before anything reads process.env (e.g. STORAGE_BACKEND)
+dotenv.config();
+
+const http = require('http');
+const { Readable } = require('stream');
 const express = require('express');
+const { WebSocketServer } = require('ws');
 const bodyParser = require('body-parser');
 const Ajv = require('ajv');
-const redisClient = require('./redisConnection'); 
+const planStore = require('./storage');
+const {
+  PreconditionFailedError, ObjectConflictError, ServiceConflictError, ServiceInUseError,
+} = require('./storage/errors');
+const { planServices, resolveServices } = require('./storage/services');
+const mergePatch = require('./mergePatch');
+const { applyPatch, JsonPatchError } = require('./jsonPatch');
+const { parseListQuery, listPlans, QueryError } = require('./planQuery');
+const { diffPlans } = require('./planDiff');
+const { NDJSON_TYPE, TransferError, exportLines, parseImportQuery, readLines } = require('./planTransfer');
+const { parseReportQuery, aggregatePlans } = require('./planReport');
+const changeQueue = require('./changeQueue');
+const changeFeed = require('./changeFeed');
+const webhooks = require('./webhooks');
+const { parseSearchQuery, search, SearchError } = require('./searchQuery');
+const { connectRedis, closeRedis } = require('./redisConnection');
+const { purgeAfter, startPurge, stopPurge } = require('./trashPurge');
+const idempotency = require('./idempotency');
 const planSchema = require('./schema'); 
-const dotenv = require('dotenv');
-const { OAuth2Client } = require('google-auth-library');
-const crypto = require('crypto'); // Import crypto for ETag hashing
-
-dotenv.config();  
+const auth = require('./auth');
+const {
+  generateETag, sameETag, preconditionRequired, isConditional, isCreateOnly, checkPreconditions, setValidators,
+} = require('./conditional');
 
 const app = express();
 const ajv = new Ajv();
 const PORT = process.env.PORT || 3000;
 const API_VERSION = 'v1';
 
-// Google OAuth2 Client
-const CLIENT_ID = "690786630324-tktkfgsps7regkqqmu4vkp4mu5hukoao.apps.googleusercontent.com";
-const oauthClient = new OAuth2Client(CLIENT_ID);
-
-// Middleware for token validation
-async function verifyToken(req, res, next) {
+// The user behind a request's Bearer token. Answers { status, error } instead
+// when the token is missing (401) or invalid (403).
+async function authenticate(req) {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Unauthorized: Missing or invalid Authorization header' });
+    return { status: 401, error: 'Unauthorized: Missing or invalid Authorization header' };
   }
 
   const token = authHeader.split(' ')[1];
   try {
-    const ticket = await oauthClient.verifyIdToken({
-      idToken: token,
-      audience: CLIENT_ID,
-    });
-    const payload = ticket.getPayload();
-    req.user = payload;
-    next();
+    // Google ID tokens or our own JWTs, depending on AUTH_PROVIDERS (see auth/)
+    return { user: await auth.verify(token) };
   } catch (error) {
     console.error('Token validation error:', error.message);
-    return res.status(403).json({ error: `Forbidden: ${error.message}` });
+    return { status: 403, error: `Forbidden: ${error.message}` };
+  }
+}
+
+// Middleware for token validation
+async function verifyToken(req, res, next) {
+  const { user, status, error } = await authenticate(req);
+  if (!user) {
+    return res.status(status).json({ error });
+  }
+  req.user = user;
+  next();
+}
+
+// Admin-only routes: the caller's email has to be listed in ADMIN_EMAILS
+// (comma-separated). Use after verifyToken.
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map((email) => email.trim()).filter(Boolean);
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_EMAILS.includes(req.user.email)) {
+    return res.status(403).json({ error: 'Forbidden: Admin access required' });
+  }
+  next();
+}
+
+// Also parse the JSON patch media types (application/merge-patch+json etc.).
+// Batches carry many plans at once, so they may be bigger (BATCH_BODY_LIMIT).
+const JSON_TYPES = ['application/json', 'application/*+json'];
+const BATCH_PATH = `/api/${API_VERSION}/plans\\:batch`; // a literal ":batch"
+app.use(BATCH_PATH, bodyParser.json({ type: JSON_TYPES, limit: process.env.BATCH_BODY_LIMIT || '10mb' }));
+app.use(bodyParser.json({ type: JSON_TYPES }));
+
+// Who changed a plan and how; stored with every version in the plan history
+function changeOf(req, operation, plan) {
+  return {
+    user: req.user.email || req.user.sub,
+    operation,
+    etag: plan ? generateETag(plan) : null,
+  };
+}
+
+// Whether a stored object (null if missing) still has the ETag a change was
+// based on (null when creating)
+function hasETag(expectedETag) {
+  return (current) => (current ? generateETag(current) : null) === expectedETag;
+}
+
+// Check the conditional headers against `validators` ({ etag, lastModified },
+// see conditional.js). Writes name their `route` for the precondition policy.
+// Sends the 304, 412 or 428 and returns false when the request has to stop;
+// reads get the validators on the response either way.
+function preconditionsMet(req, res, validators, route) {
+  if (!route) setValidators(res, validators);
+  const failed = checkPreconditions(req, validators, { required: Boolean(route) && preconditionRequired(route) });
+  if (!failed) return true;
+
+  if (failed.status === 304) {
+    res.status(304).end(); // Not Modified
+  } else if (failed.status === 428) {
+    res.status(428).json({ error: `Precondition Required: ${failed.reason}` });
+  } else {
+    res.status(412).json({ error: `Precondition Failed: ${failed.reason}` });
   }
+  return false;
+}
+
+// ETag and Last-Modified of a stored plan. The time of the latest version only
+// counts while that version is what is stored: a catalog service changing
+// alters the plan without a new version, and then the time is unknown.
+async function planValidators(plan) {
+  const etag = generateETag(plan);
+  const latest = await planStore.getLatestVersion(plan.objectId);
+  return { etag, lastModified: latest && sameETag(latest.etag, etag) ? latest.timestamp : null };
 }
 
-app.use(bodyParser.json());
+// Another request wrote between our read and our write. Storage writes are
+// compare-and-set, so the loser is told to re-read instead of overwriting.
+function concurrentChange(res) {
+  return res.status(412).json({ error: 'Precondition Failed: Plan was changed by another request' });
+}
 
-// Helper function to generate ETag
-function generateETag(data) {
-  return crypto.createHash('sha1').update(data).digest('hex');
+// A plan write embedded a linked service that differs from the catalog copy,
+// or an object shared with other plans that differs from their copy
+function objectConflict(res, err) {
+  if (err instanceof ServiceConflictError) {
+    return res.status(409).json({
+      error: `Conflict: ${err.message}, change it through /api/${API_VERSION}/services/${err.objectId}`,
+    });
+  }
+  return res.status(409).json({ error: `Conflict: ${err.message}`, plans: err.plans });
+}
+
+// Queue a stored change of a plan for search indexing, the change feed and
+// webhooks. `plans` are the plan as written and the one it replaced, see
+// changeFeed.describeChange.
+async function publishPlanChange(objectId, change, plans) {
+  const types = { create: 'created', restore: 'created', delete: 'deleted' };
+  const stored = {
+    type: types[change.operation] || 'updated',
+    objectId,
+    etag: change.etag,
+    user: change.user,
+  };
+  await changeQueue.publishChange(stored);
+
+  if (changeFeed.isEnabled() || webhooks.isEnabled()) {
+    const event = changeFeed.describeChange(stored, plans);
+    await changeFeed.publishEvent(event);
+    await webhooks.publishEvent(event);
+  }
+}
+
+// `plan` with its linked services as they are in the catalog now; services the
+// catalog no longer has are kept as they are
+async function withCatalogServices(plan) {
+  const catalog = new Map();
+  for (const { objectId } of planServices(plan)) {
+    const service = await planStore.getService(objectId);
+    if (service) catalog.set(objectId, service);
+  }
+  return resolveServices(plan, catalog);
+}
+
+// hasETag that also keeps the plan it was checked against in `seen.previous`.
+// The store checks it against the plan the write replaces, so that is the
+// previous plan even if other writes landed since the request read it.
+function checkedETag(expectedETag, seen) {
+  const check = hasETag(expectedETag);
+  return (current) => {
+    seen.previous = current;
+    return check(current);
+  };
+}
+
+// Store a new version of a plan and queue the change for search indexing.
+// The write only goes through if the stored plan still has `expectedETag`,
+// the ETag of the plan the change was made to (null when creating).
+async function storePlan(req, plan, operation, expectedETag) {
+  const change = changeOf(req, operation, plan);
+  const seen = { previous: null };
+  await planStore.savePlan(plan, change, checkedETag(expectedETag, seen));
+  await publishPlanChange(plan.objectId, change, { plan, previous: seen.previous });
+}
+
+// Delete a plan and queue the change; false if it did not exist. With
+// `expectedETag` the plan is only deleted while it still has that ETag.
+// `current` is the plan as the request read it.
+async function removePlan(req, objectId, expectedETag, current) {
+  const change = changeOf(req, 'delete', null);
+  const seen = { previous: current };
+  const deleted = await planStore.deletePlan(objectId, change, expectedETag && checkedETag(expectedETag, seen));
+  if (deleted) {
+    await publishPlanChange(objectId, change, { plan: null, previous: seen.previous });
+  }
+  return deleted;
 }
 
 const validatePlan = ajv.compile(planSchema);
 
 /// POST (Create) Plan with Bearer Token Authentication
-app.post(`/api/${API_VERSION}/plans`, verifyToken, async (req, res) => {
+app.post(`/api/${API_VERSION}/plans`, verifyToken, idempotency.idempotent, async (req, res) => {
   const data = req.body;
   const isValid = validatePlan(data);
 
@@ -61,7 +223,7 @@ app.post(`/api/${API_VERSION}/plans`, verifyToken, async (req, res) => {
   const objectId = data.objectId;
 
   try {
-    const existingPlan = await redisClient.get(objectId);
+    const existingPlan = await planStore.getPlan(objectId);
 
     if (existingPlan) {
       // If the plan already exists, generate ETag for the existing data
@@ -71,24 +233,70 @@ app.post(`/api/${API_VERSION}/plans`, verifyToken, async (req, res) => {
       res.set('ETag', existingETag);
       
       // Return the 409 Conflict response with the existing data and ETag
-      return res.status(409).json({ message: "Conflict: Plan already exists", data: JSON.parse(existingPlan) });
+      return res.status(409).json({ message: "Conflict: Plan already exists", data: existingPlan });
     }
 
-    // If no conflict, save the new plan
-    await redisClient.set(objectId, JSON.stringify(data));
+    // If no conflict, save the new plan as a graph of objects
+    await storePlan(req, data, 'create', null);
 
     // Generate ETag for the new data and set the ETag header
-    const newETag = generateETag(JSON.stringify(data));
+    const newETag = generateETag(data);
     res.set('ETag', newETag);
 
     res.status(201).json({ message: "Plan created", data });
   } catch (err) {
+    if (err instanceof PreconditionFailedError) {
+      // Another request created it first
+      return res.status(409).json({ message: "Conflict: Plan already exists" });
+    }
+    if (err instanceof ObjectConflictError) return objectConflict(res, err);
     console.error('Error storing plan in Redis:', err);
     res.status(500).json({ error: 'Internal Server Error: Could not store plan' });
   }
 });
 
 
+// GET (List) Plans with filtering, sorting and cursor pagination
+app.get(`/api/${API_VERSION}/plans`, verifyToken, async (req, res) => {
+  let query;
+  try {
+    query = parseListQuery(req.query);
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    return res.status(400).json({ error: `Bad Request: ${err.message}` });
+  }
+
+  // Same query string with the cursor swapped out
+  const pageLink = (cursor) => {
+    const params = new URLSearchParams(req.query);
+    params.set('cursor', cursor);
+    return `${req.baseUrl}${req.path}?${params}`;
+  };
+
+  try {
+    const page = await listPlans(query);
+    const links = {
+      next: page.next && pageLink(page.next),
+      prev: page.prev && pageLink(page.prev),
+    };
+
+    const linkHeader = Object.entries(links)
+      .filter(([, url]) => url)
+      .map(([rel, url]) => `<${url}>; rel="${rel}"`);
+    if (linkHeader.length > 0) {
+      res.set('Link', linkHeader.join(', '));
+    }
+
+    res.status(200).json({ data: page.data, count: page.data.length, total: page.total, links });
+  } catch (err) {
+    if (err instanceof QueryError) {
+      return res.status(400).json({ error: `Bad Request: ${err.message}` });
+    }
+    console.error('Error listing plans from Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not list plans' });
+  }
+});
+
 // PUT (Replace) Plan
 app.put(`/api/${API_VERSION}/plans/:objectId`, verifyToken, async (req, res) => {
   const { objectId } = req.params;
@@ -98,119 +306,1500 @@ app.put(`/api/${API_VERSION}/plans/:objectId`, verifyToken, async (req, res) =>
     return res.status(400).json({ errors: validatePlan.errors });
   }
 
+  if (newData.objectId !== objectId) {
+    return res.status(400).json({ error: 'Bad Request: objectId in body does not match the URL' });
+  }
+
   try {
-    const existingPlan = await redisClient.get(objectId);
+    const existingPlan = await planStore.getPlan(objectId);
     if (!existingPlan) {
-      return res.status(404).json({ message: "Not Found: Plan does not exist" });
-    }
+      // If-None-Match: * turns the PUT into a create-if-absent
+      if (!isCreateOnly(req)) {
+        return res.status(404).json({ message: "Not Found: Plan does not exist" });
+      }
+      if (!preconditionsMet(req, res, { etag: null }, 'plan.put')) return;
 
-    const currentETag = generateETag(existingPlan);
-
-    if (req.headers['if-match'] !== currentETag) {
-      return res.status(412).json({ error: 'Precondition Failed: ETag does not match' });
+      await storePlan(req, newData, 'create', null);
+      res.set('ETag', generateETag(newData));
+      return res.status(201).json({ message: "Plan created", data: newData });
     }
 
-    await redisClient.set(objectId, JSON.stringify(newData));
-    const etag = generateETag(JSON.stringify(newData));
+    const validators = await planValidators(existingPlan);
+    if (!preconditionsMet(req, res, validators, 'plan.put')) return;
+    const currentETag = validators.etag;
+
+    await storePlan(req, newData, 'replace', currentETag);
+    const etag = generateETag(newData);
     res.set('ETag', etag);
     res.status(200).json({ message: "Plan replaced", data: newData });
   } catch (err) {
+    if (err instanceof PreconditionFailedError) return concurrentChange(res);
+    if (err instanceof ObjectConflictError) return objectConflict(res, err);
     console.error('Error replacing plan in Redis:', err);
     res.status(500).json({ error: 'Internal Server Error: Could not replace plan' });
   }
 });
 
 
-// PATCH (Update) Plan
-app.patch(`/api/${API_VERSION}/plans/:objectId`, verifyToken, async (req, res) => {
+// PATCH (Update) Plan with JSON Merge Patch or JSON Patch semantics
+app.patch(`/api/${API_VERSION}/plans/:objectId`, verifyToken, idempotency.idempotent, async (req, res) => {
   const { objectId } = req.params;
   const updates = req.body;
+  const isJsonPatch = req.is('application/json-patch+json');
+
+  if (!isJsonPatch && !req.is(['application/json', 'application/merge-patch+json'])) {
+    res.set('Accept-Patch', 'application/merge-patch+json, application/json-patch+json');
+    return res.status(415).json({ error: 'Unsupported Media Type: Use application/merge-patch+json or application/json-patch+json' });
+  }
 
   try {
-    const plan = await redisClient.get(objectId);
-    if (!plan) {
+    const planData = await planStore.getPlan(objectId);
+    if (!planData) {
       return res.status(404).json({ message: "Not Found: Plan does not exist" });
     }
 
-    const currentETag = generateETag(plan);
-    if (req.headers['if-match'] !== currentETag) {
-      return res.status(412).json({ error: 'Precondition Failed: ETag does not match' });
-    }
+    const validators = await planValidators(planData);
+    if (!preconditionsMet(req, res, validators, 'plan.patch')) return;
+    const currentETag = validators.etag;
 
-    const planData = JSON.parse(plan);
-    const updatedPlan = { ...planData, ...updates };
+    let updatedPlan;
+    if (isJsonPatch) {
+      // All operations apply to a copy, so one failure rejects the whole patch
+      try {
+        updatedPlan = applyPatch(planData, updates);
+      } catch (err) {
+        if (!(err instanceof JsonPatchError)) throw err;
+        return res.status(err.status).json({ error: err.message });
+      }
+    } else {
+      // Deep merge: nested objects merge, null removes a key, services merge by objectId
+      updatedPlan = mergePatch(planData, updates);
+    }
 
     if (!validatePlan(updatedPlan)) {
       return res.status(400).json({ errors: validatePlan.errors });
     }
 
-    await redisClient.set(objectId, JSON.stringify(updatedPlan));
-    const newETag = generateETag(JSON.stringify(updatedPlan)); // Generate new ETag
+    if (updatedPlan.objectId !== objectId) {
+      return res.status(400).json({ error: 'Bad Request: objectId cannot be changed' });
+    }
+
+    await storePlan(req, updatedPlan, 'update', currentETag);
+    const newETag = generateETag(updatedPlan); // Generate new ETag
     res.set('ETag', newETag); // Set new ETag in response header
     res.status(200).json({ message: "Plan updated", data: updatedPlan });
   } catch (err) {
+    if (err instanceof PreconditionFailedError) return concurrentChange(res);
+    if (err instanceof ObjectConflictError) return objectConflict(res, err);
     console.error('Error updating plan in Redis:', err);
     res.status(500).json({ error: 'Internal Server Error: Could not update plan' });
   }
 });
 
+// Answer a diff in the format asked for with ?format=patch|summary (default: both)
+function sendDiff(req, res, from, to, left, right) {
+  const format = req.query.format || 'full';
+  if (!['full', 'patch', 'summary'].includes(format)) {
+    return res.status(400).json({ error: 'Bad Request: format must be patch or summary' });
+  }
+
+  const { patch, summary } = diffPlans(left, right);
+  if (format === 'patch') {
+    return res.status(200).type('application/json-patch+json').send(JSON.stringify(patch));
+  }
+  if (format === 'summary') {
+    return res.status(200).json(summary);
+  }
+  res.status(200).json({ from, to, patch, summary });
+}
+
+// GET a diff between two plans as they are stored now: ?left=<objectId>&right=<objectId>
+// (registered before /plans/:objectId so "diff" is not taken for a plan id)
+app.get(`/api/${API_VERSION}/plans/diff`, verifyToken, async (req, res) => {
+  const { left, right } = req.query;
+  if (!left || !right) {
+    return res.status(400).json({ error: 'Bad Request: left and right plan ids are required' });
+  }
+
+  try {
+    const [leftPlan, rightPlan] = await Promise.all([planStore.getPlan(left), planStore.getPlan(right)]);
+    if (!leftPlan || !rightPlan) {
+      return res.status(404).json({ message: `Not Found: Plan ${leftPlan ? right : left} not found` });
+    }
+
+    sendDiff(req, res,
+      { objectId: left, etag: generateETag(leftPlan) },
+      { objectId: right, etag: generateETag(rightPlan) },
+      leftPlan, rightPlan);
+  } catch (err) {
+    console.error('Error diffing plans from Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not diff plans' });
+  }
+});
+
+// Where a change feed subscriber starts: after the Last-Event-ID header (sent
+// by EventSource when it reconnects) or ?lastEventId=, or from now on
+function feedSubscription(req) {
+  const lastEventId = req.headers['last-event-id'] || req.query.lastEventId || null;
+  if (lastEventId !== null && !changeFeed.isEventId(lastEventId)) {
+    return { error: 'Bad Request: Last-Event-ID is not an event id of this feed' };
+  }
+  return { filter: changeFeed.parseFilter(req.query), lastEventId };
+}
+
+const FEED_PING_MS = 15000;
+
+// GET the change feed as Server-Sent Events: every created/updated/deleted plan
+// as an event of that type whose data is { type, objectId, etag, actor, _org,
+// planType, diff, timestamp }. Filter with ?_org= and ?planType=. A `reset`
+// event means events since Last-Event-ID are gone and the plans should be read
+// again. The WebSocket endpoint at the same URL sends the same events.
+app.get(`/api/${API_VERSION}/plans/changes`, verifyToken, async (req, res) => {
+  if (!changeFeed.isEnabled()) {
+    return res.status(404).json({ message: "Not Found: The change feed is disabled" });
+  }
+  const subscription = feedSubscription(req);
+  if (subscription.error) {
+    return res.status(400).json({ error: subscription.error });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // proxies must not hold events back
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const write = (text) => {
+    if (!closed) res.write(text);
+  };
+  const ping = setInterval(() => write(': ping\n\n'), FEED_PING_MS);
+  let unsubscribe = () => {};
+  res.on('close', () => {
+    closed = true;
+    clearInterval(ping);
+    unsubscribe();
+  });
+
+  try {
+    unsubscribe = await changeFeed.subscribe(subscription, {
+      send: (id, event) => write(`id: ${id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`),
+      reset: () => write(`event: reset\ndata: ${JSON.stringify({ message: 'Missed events are no longer available, read the plans again' })}\n\n`),
+      close: () => res.end(),
+    });
+    if (closed) unsubscribe(); // the client left while catching up
+  } catch (err) {
+    console.error('Error subscribing to the change feed in Redis:', err);
+    res.end();
+  }
+});
+
+// GET (Export) every Plan as NDJSON, one plan per line, streamed as it is read
+// (registered before /plans/:objectId so "export" is not taken for a plan id)
+app.get(`/api/${API_VERSION}/plans/export`, verifyToken, (req, res) => {
+  const lines = Readable.from(exportLines());
+
+  res.attachment('plans.ndjson');
+  res.type(NDJSON_TYPE);
+  lines.on('error', (err) => {
+    console.error('Error exporting plans from Redis:', err);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Internal Server Error: Could not export plans' });
+    }
+    res.destroy(); // the client sees a cut off export rather than a complete one
+  });
+  res.on('close', () => lines.destroy()); // stop reading if the client goes away
+  lines.pipe(res);
+});
+
+// POST (Import) Plans as NDJSON, e.g. from /plans/export. Every line is parsed,
+// validated and stored on its own, and the response counts what happened and
+// lists the lines that failed. ?onConflict= says what to do with a plan that
+// already exists: skip it, overwrite it, or fail, which stops the import there
+// (the plans before it stay imported).
+const MAX_REPORTED_ERRORS = 1000;
+
+app.post(`/api/${API_VERSION}/plans/import`, verifyToken, async (req, res) => {
+  if (!req.is(NDJSON_TYPE)) {
+    return res.status(415).json({ error: `Unsupported Media Type: Send plans as ${NDJSON_TYPE}` });
+  }
+
+  let options;
+  try {
+    options = parseImportQuery(req.query);
+  } catch (err) {
+    if (!(err instanceof TransferError)) throw err;
+    return res.status(400).json({ error: `Bad Request: ${err.message}` });
+  }
+
+  const report = { imported: 0, replaced: 0, skipped: 0, failed: 0, errors: [] };
+  const reportError = (entry) => {
+    report.failed += 1;
+    if (report.errors.length < MAX_REPORTED_ERRORS) report.errors.push(entry);
+  };
+  let stoppedAt = null;
+
+  try {
+    for await (const { line, text, tooLong } of readLines(req)) {
+      // Once stopped, the rest of the body is still read so the response can be sent
+      if (stoppedAt !== null) continue;
+      if (tooLong) {
+        reportError({ line, error: 'Line is too long' });
+        continue;
+      }
+
+      let plan;
+      try {
+        plan = JSON.parse(text);
+      } catch (err) {
+        reportError({ line, error: 'Invalid JSON' });
+        continue;
+      }
+      if (!validatePlan(plan)) {
+        reportError({ line, objectId: plan?.objectId, errors: validatePlan.errors });
+        continue;
+      }
+
+      const { objectId } = plan;
+      const existing = await planStore.getPlan(objectId);
+      if (existing && options.onConflict === 'skip') {
+        report.skipped += 1;
+        continue;
+      }
+      if (existing && options.onConflict === 'fail') {
+        reportError({ line, objectId, error: 'Conflict: Plan already exists' });
+        stoppedAt = { line, objectId };
+        continue;
+      }
+
+      try {
+        await storePlan(req, plan, existing ? 'replace' : 'create', existing ? generateETag(existing) : null);
+      } catch (err) {
+        if (err instanceof ObjectConflictError) {
+          reportError({ line, objectId, error: `Conflict: ${err.message}` });
+          continue;
+        }
+        if (!(err instanceof PreconditionFailedError)) throw err;
+        reportError({ line, objectId, error: 'Precondition Failed: Plan was changed by another request' });
+        continue;
+      }
+      report[existing ? 'replaced' : 'imported'] += 1;
+    }
+  } catch (err) {
+    console.error('Error importing plans into Redis:', err);
+    return res.status(500).json({ error: 'Internal Server Error: Could not import plans', ...report });
+  }
+
+  if (stoppedAt) {
+    const error = `Conflict: Import stopped at line ${stoppedAt.line}, plan ${stoppedAt.objectId} already exists`;
+    return res.status(409).json({ error, ...report });
+  }
+  res.status(200).json(report);
+});
+
 // GET Plan with updated ETag logic
 app.get(`/api/${API_VERSION}/plans/:objectId`, verifyToken, async (req, res) => {
   const { objectId } = req.params;
 
+  if (req.query.asOf !== undefined) {
+    return getPlanAsOf(req, res);
+  }
+
   try {
-    const plan = await redisClient.get(objectId);
+    // Reassemble the full document from its stored objects
+    const plan = await planStore.getPlan(objectId);
     if (!plan) {
       return res.status(404).json({ message: "Not Found: Plan not found" });
     }
 
-    const etag = generateETag(plan);
-    res.set('ETag', etag);
+    if (!preconditionsMet(req, res, await planValidators(plan))) return;
+    res.status(200).json(plan);
+  } catch (err) {
+    console.error('Error reading plan from Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not retrieve plan' });
+  }
+});
+
+// Accepts an ISO 8601 date/time or milliseconds since the epoch
+function parseTimestamp(value) {
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// History entries without the plan bodies, for listings
+function versionSummary({ plan, ...summary }) {
+  return summary;
+}
+
+// GET Plan as it was at ?asOf=<timestamp>, read from its version history
+async function getPlanAsOf(req, res) {
+  const asOf = parseTimestamp(String(req.query.asOf));
+  if (asOf === null) {
+    return res.status(400).json({ error: 'Bad Request: asOf must be an ISO timestamp or epoch milliseconds' });
+  }
+
+  try {
+    const versions = await planStore.getVersions(req.params.objectId);
+    const entry = versions.filter((version) => Date.parse(version.timestamp) <= asOf).pop();
 
-    if (req.headers['if-none-match'] === etag) {
-      return res.status(304).end(); // Not Modified
+    // Nothing written yet at that time, or the plan was deleted by then
+    if (!entry || !entry.plan) {
+      return res.status(404).json({ message: "Not Found: Plan did not exist at that time" });
     }
 
-    res.status(200).json(JSON.parse(plan));
+    res.set('ETag', entry.etag);
+    res.set('X-Plan-Version', String(entry.version));
+    res.status(200).json(entry.plan);
   } catch (err) {
-    console.error('Error reading plan from Redis:', err);
-    res.status(500).json({ error: 'Internal Server Error: Could not retrieve plan' });
+    console.error('Error reading plan history from Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not retrieve plan history' });
+  }
+}
+
+// GET the version history of a plan
+app.get(`/api/${API_VERSION}/plans/:objectId/versions`, verifyToken, async (req, res) => {
+  try {
+    const versions = await planStore.getVersions(req.params.objectId);
+    if (versions.length === 0) {
+      return res.status(404).json({ message: "Not Found: Plan has no history" });
+    }
+
+    res.status(200).json({ data: versions.map(versionSummary), count: versions.length });
+  } catch (err) {
+    console.error('Error reading plan history from Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not retrieve plan history' });
   }
 });
 
-// DELETE Plan without ETag validation
-app.delete(`/api/${API_VERSION}/plans/:objectId`, verifyToken, async (req, res) => {
+// GET one version of a plan, including the plan as it was stored
+app.get(`/api/${API_VERSION}/plans/:objectId/versions/:version`, verifyToken, async (req, res) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version) || version < 1) {
+    return res.status(400).json({ error: 'Bad Request: version must be a positive integer' });
+  }
+
+  try {
+    const entry = await planStore.getVersion(req.params.objectId, version);
+    if (!entry) {
+      return res.status(404).json({ message: "Not Found: Version not found" });
+    }
+
+    if (entry.etag) {
+      res.set('ETag', entry.etag);
+    }
+    res.status(200).json({ ...versionSummary(entry), data: entry.plan });
+  } catch (err) {
+    console.error('Error reading plan history from Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not retrieve plan version' });
+  }
+});
+
+// GET a diff between two versions of a plan: ?from=v1&to=v3. `to` defaults to
+// the latest version and `from` to the one before it.
+app.get(`/api/${API_VERSION}/plans/:objectId/diff`, verifyToken, async (req, res) => {
+  const parseVersion = (value) => {
+    const match = /^v?(\d+)$/.exec(String(value));
+    return match && Number(match[1]) > 0 ? Number(match[1]) : null;
+  };
+  const toVersion = req.query.to === undefined ? undefined : parseVersion(req.query.to);
+  const fromVersion = req.query.from === undefined ? undefined : parseVersion(req.query.from);
+  if (toVersion === null || fromVersion === null) {
+    return res.status(400).json({ error: 'Bad Request: from and to must be versions such as v2' });
+  }
+
+  try {
+    const versions = await planStore.getVersions(req.params.objectId);
+    if (versions.length === 0) {
+      return res.status(404).json({ message: "Not Found: Plan has no history" });
+    }
+
+    const to = versions[(toVersion || versions.length) - 1];
+    const from = versions[(fromVersion || (to && to.version - 1)) - 1];
+    if (!to || !from) {
+      return res.status(404).json({ message: "Not Found: Version not found" });
+    }
+    if (!to.plan || !from.plan) {
+      const deleted = to.plan ? from : to;
+      return res.status(400).json({ error: `Bad Request: Version ${deleted.version} records a delete` });
+    }
+
+    sendDiff(req, res, versionSummary(from), versionSummary(to), from.plan, to.plan);
+  } catch (err) {
+    console.error('Error diffing plan versions from Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not diff plan versions' });
+  }
+});
+
+// POST (Rollback) a plan to an earlier version, given as { version } or { etag }.
+// The old body is written as a new version, so the history is never rewritten.
+// Like a restore, its services are taken as they are in the catalog now.
+app.post(`/api/${API_VERSION}/plans/:objectId/rollback`, verifyToken, idempotency.idempotent, async (req, res) => {
   const { objectId } = req.params;
+  const { version, etag } = req.body || {};
+
+  if (version === undefined && etag === undefined) {
+    return res.status(400).json({ error: 'Bad Request: Provide the target version or etag' });
+  }
+  const target = Number(version);
+  const validVersion = ['number', 'string'].includes(typeof version) && Number.isInteger(target) && target >= 1;
+  if (version !== undefined && !validVersion) {
+    return res.status(400).json({ error: 'Bad Request: version must be a positive integer' });
+  }
+  if (etag !== undefined && typeof etag !== 'string') {
+    return res.status(400).json({ error: 'Bad Request: etag must be a string' });
+  }
+
+  try {
+    const currentPlan = await planStore.getPlan(objectId);
+    if (!currentPlan) {
+      return res.status(404).json({ message: "Not Found: Plan does not exist" });
+    }
+
+    const validators = await planValidators(currentPlan);
+    if (!preconditionsMet(req, res, validators, 'plan.rollback')) return;
+    const currentETag = validators.etag;
+
+    const entry = version !== undefined
+      ? await planStore.getVersion(objectId, target)
+      : (await planStore.getVersions(objectId)).filter((candidate) => sameETag(candidate.etag, etag)).pop();
+    if (!entry) {
+      return res.status(404).json({ message: "Not Found: Version not found" });
+    }
+    if (!entry.plan) {
+      return res.status(400).json({ error: `Bad Request: Version ${entry.version} records a delete and cannot be restored` });
+    }
+
+    const plan = await withCatalogServices(entry.plan);
+
+    // The schema may have moved on since the old version was stored
+    if (!validatePlan(plan)) {
+      return res.status(400).json({ errors: validatePlan.errors });
+    }
+
+    await storePlan(req, plan, 'rollback', currentETag);
+    res.set('ETag', generateETag(plan));
+    res.status(200).json({ message: `Plan rolled back to version ${entry.version}`, data: plan });
+  } catch (err) {
+    if (err instanceof PreconditionFailedError) return concurrentChange(res);
+    if (err instanceof ObjectConflictError) return objectConflict(res, err);
+    console.error('Error rolling back plan in Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not roll back plan' });
+  }
+});
+
+// GET any stored object (service, cost share...) by objectType and objectId
+app.get(`/api/${API_VERSION}/objects/:objectType/:objectId`, verifyToken, async (req, res) => {
+  const { objectType, objectId } = req.params;
+
+  try {
+    const object = await planStore.getObject(objectType, objectId);
+    if (!object) {
+      return res.status(404).json({ message: "Not Found: Object not found" });
+    }
+
+    if (!preconditionsMet(req, res, { etag: generateETag(object) })) return;
+
+    const parents = await planStore.getParents(objectType, objectId);
+    res.status(200).json({ data: object, parents });
+  } catch (err) {
+    console.error('Error reading object from Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not retrieve object' });
+  }
+});
+
+// Search plans and their nested objects, e.g.
+// ?linkedPlanServices.linkedService.name=X&linkedPlanServices.planserviceCostShares.copay[lt]=20
+// (see searchQuery.js). Answers from the index kept by worker.js.
+app.get(`/api/${API_VERSION}/search`, verifyToken, async (req, res) => {
+  if (!changeQueue.isEnabled()) {
+    return res.status(503).json({ error: 'Service Unavailable: Search indexing is disabled' });
+  }
+
+  let query;
+  try {
+    query = parseSearchQuery(req.query);
+  } catch (err) {
+    if (!(err instanceof SearchError)) throw err;
+    return res.status(400).json({ error: `Bad Request: ${err.message}` });
+  }
+
+  try {
+    res.status(200).json(await search(query));
+  } catch (err) {
+    console.error('Error searching plans in Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not search plans' });
+  }
+});
 
+// GET aggregates across all stored plans, grouped by schema fields, e.g.
+// ?groupBy=planType&metric=planCostShares.deductible&buckets=500,1000
+// (see planReport.js)
+app.get(`/api/${API_VERSION}/reports/aggregate`, verifyToken, async (req, res) => {
+  let query;
   try {
-    const plan = await redisClient.get(objectId);
+    query = parseReportQuery(req.query);
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    return res.status(400).json({ error: `Bad Request: ${err.message}` });
+  }
 
+  try {
+    res.status(200).json(await aggregatePlans(query));
+  } catch (err) {
+    console.error('Error aggregating plans:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not aggregate plans' });
+  }
+});
+
+// DELETE Plan. It goes to the trash and can be restored until it is purged.
+// With If-Match (or If-Unmodified-Since) it is only deleted if it has not
+// changed since the client read it.
+app.delete(`/api/${API_VERSION}/plans/:objectId`, verifyToken, async (req, res) => {
+  const { objectId } = req.params;
+
+  try {
+    const plan = await planStore.getPlan(objectId);
     if (!plan) {
       return res.status(404).json({ message: "Not Found: Plan not found" });
     }
 
-    // Delete the plan directly
-    const deleted = await redisClient.del(objectId);
+    const validators = await planValidators(plan);
+    if (!preconditionsMet(req, res, validators, 'plan.delete')) return;
 
-    if (deleted === 0) {
+    // Delete the plan together with the objects it owns; shared ones stay
+    const deleted = await removePlan(req, objectId, isConditional(req) ? validators.etag : null, plan);
+    if (!deleted) {
       return res.status(404).json({ message: "Not Found: Plan not found" });
     }
 
     res.status(204).end();
   } catch (err) {
+    if (err instanceof PreconditionFailedError) return concurrentChange(res);
     console.error('Error deleting plan from Redis:', err);
     res.status(500).json({ error: 'Internal Server Error: Could not delete plan' });
   }
 });
 
+// Batches of plan writes, e.g. for a nightly sync: POST /plans:batch with
+//
+//   { "operations": [
+//       { "op": "create", "data": <plan> },
+//       { "op": "put", "objectId": "...", "ifMatch": "<ETag>", "data": <plan> },
+//       { "op": "patch", "objectId": "...", "ifMatch": "<ETag>", "data": <merge patch or JSON Patch array> },
+//       { "op": "delete", "objectId": "...", "ifMatch": "<ETag>" } ] }
+//
+// Each operation is checked like its own route (schema, preconditions with
+// ifMatch / ifNoneMatch) and gets its own status. By default they are applied
+// one by one, in order. With ?atomic=true they are all applied in one
+// transaction, or none are if any of them fails.
+const MAX_BATCH_OPERATIONS = 1000;
+const BATCH_METHODS = { create: 'POST', put: 'PUT', patch: 'PATCH', delete: 'DELETE' };
+
+// The preconditions of a batch operation, in the shape checkPreconditions reads
+function operationRequest(operation) {
+  const headers = { 'if-match': operation.ifMatch, 'if-none-match': operation.ifNoneMatch };
+  return { method: BATCH_METHODS[operation.op], get: (name) => headers[name.toLowerCase()] };
+}
+
+// The plan an operation is about; a create names it in its body
+function operationObjectId(operation) {
+  return operation.op === 'create' ? operation.data?.objectId : operation.objectId;
+}
+
+// Check one operation against the stored plans. Returns the `result` to report
+// and, if it passed, the `write` to make: { plan, objectId, operation, expectedETag }
+async function planOperation(req, operation) {
+  const { op } = operation;
+  const objectId = operationObjectId(operation);
+  const fail = (status, body) => ({ result: { op, objectId, status, ...body } });
+
+  if (!BATCH_METHODS[op]) {
+    return fail(400, { error: 'Bad Request: op must be create, put, patch or delete' });
+  }
+  if (op !== 'create' && typeof operation.objectId !== 'string') {
+    return fail(400, { error: 'Bad Request: objectId is required' });
+  }
+  if (op !== 'delete' && (operation.data === null || typeof operation.data !== 'object')) {
+    return fail(400, { error: 'Bad Request: data is required' });
+  }
+
+  const request = operationRequest(operation);
+  const accept = (status, plan, write) => ({
+    result: { op, objectId: write.objectId, status, ...(plan && { etag: generateETag(plan) }) },
+    write,
+  });
+  const checkPlan = (plan) => {
+    if (!validatePlan(plan)) return fail(400, { errors: validatePlan.errors });
+    if (op !== 'create' && plan.objectId !== operation.objectId) {
+      const error = op === 'put' ? 'objectId in data does not match the operation' : 'objectId cannot be changed';
+      return fail(400, { error: `Bad Request: ${error}` });
+    }
+    return null;
+  };
+
+  const current = typeof objectId === 'string' ? await planStore.getPlan(objectId) : null;
+
+  // Creates, including a put with ifNoneMatch "*" for a plan that does not exist
+  if (op === 'create' || (op === 'put' && !current && isCreateOnly(request))) {
+    const invalid = checkPlan(operation.data);
+    if (invalid) return invalid;
+    if (current) {
+      return fail(409, { message: "Conflict: Plan already exists" });
+    }
+    return accept(201, operation.data, { plan: operation.data, objectId, operation: 'create', expectedETag: null });
+  }
+
+  if (!current) {
+    return fail(404, { message: "Not Found: Plan does not exist" });
+  }
+  const validators = await planValidators(current);
+  const failed = checkPreconditions(request, validators, { required: preconditionRequired(`plan.${op}`) });
+  if (failed) {
+    const label = failed.status === 428 ? 'Precondition Required' : 'Precondition Failed';
+    return fail(failed.status, { error: `${label}: ${failed.reason}` });
+  }
+
+  if (op === 'delete') {
+    return accept(204, null, { objectId, operation: 'delete', expectedETag: validators.etag, previous: current });
+  }
+
+  let plan = operation.data;
+  if (op === 'patch') {
+    try {
+      plan = Array.isArray(operation.data) ? applyPatch(current, operation.data) : mergePatch(current, operation.data);
+    } catch (err) {
+      if (!(err instanceof JsonPatchError)) throw err;
+      return fail(err.status, { error: err.message });
+    }
+  }
+  const invalid = checkPlan(plan);
+  if (invalid) return invalid;
+  return accept(200, plan, { plan, objectId, operation: op === 'put' ? 'replace' : 'update', expectedETag: validators.etag });
+}
+
+// Apply the operations one after another; each one sees the ones before it
+async function runBatch(req, operations) {
+  const results = [];
+  for (const operation of operations) {
+    try {
+      const { result, write } = await planOperation(req, operation);
+      if (write && write.plan) {
+        await storePlan(req, write.plan, write.operation, write.expectedETag);
+      } else if (write && !(await removePlan(req, write.objectId, write.expectedETag, write.previous))) {
+        result.status = 404;
+        result.message = "Not Found: Plan does not exist";
+      }
+      results.push(result);
+    } catch (err) {
+      const failed = (status, error) => results.push({ op: operation.op, objectId: operationObjectId(operation), status, error });
+      if (err instanceof PreconditionFailedError) {
+        failed(412, 'Precondition Failed: Plan was changed by another request');
+        continue;
+      }
+      if (err instanceof ObjectConflictError) {
+        failed(409, `Conflict: ${err.message}`);
+        continue;
+      }
+      console.error('Error applying batch operation in Redis:', err);
+      failed(500, 'Internal Server Error: Could not apply operation');
+    }
+  }
+  return results;
+}
+
+// Check every operation first and only write if all of them passed. Returns
+// the results and whether the batch was applied.
+async function runAtomicBatch(req, operations) {
+  const planned = [];
+  for (const operation of operations) {
+    planned.push(await planOperation(req, operation));
+  }
+  const results = planned.map(({ result }) => result);
+
+  if (planned.some(({ write }) => !write)) {
+    planned
+      .filter(({ write }) => write)
+      .forEach(({ result }) => {
+        delete result.etag;
+        result.status = 424;
+        result.error = 'Failed Dependency: Not applied because another operation failed';
+      });
+    return { results, applied: false };
+  }
+
+  const writes = planned.map(({ write }) => {
+    const seen = { previous: null };
+    return {
+      plan: write.plan,
+      objectId: write.objectId,
+      change: changeOf(req, write.operation, write.plan || null),
+      expect: checkedETag(write.expectedETag, seen),
+      seen,
+    };
+  });
+  await planStore.applyBatch(writes);
+  for (const { plan = null, objectId, change, seen } of writes) {
+    await publishPlanChange(objectId, change, { plan, previous: seen.previous });
+  }
+  return { results, applied: true };
+}
+
+app.post(BATCH_PATH, verifyToken, idempotency.idempotent, async (req, res) => {
+  const { operations } = req.body || {};
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return res.status(400).json({ error: 'Bad Request: operations must be a non-empty array' });
+  }
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    return res.status(400).json({ error: `Bad Request: At most ${MAX_BATCH_OPERATIONS} operations per batch` });
+  }
+  if (operations.some((operation) => operation === null || typeof operation !== 'object' || Array.isArray(operation))) {
+    return res.status(400).json({ error: 'Bad Request: Every operation must be an object' });
+  }
+  if (![undefined, 'true', 'false'].includes(req.query.atomic)) {
+    return res.status(400).json({ error: 'Bad Request: atomic must be true or false' });
+  }
+  const atomic = req.query.atomic === 'true';
+
+  if (atomic) {
+    // Every operation is checked against the stored plans, not against each other
+    const objectIds = operations.map((operation) => (operation.op === 'create' ? operation.data?.objectId : operation.objectId));
+    const repeated = objectIds.find((objectId, index) => objectId !== undefined && objectIds.indexOf(objectId) !== index);
+    if (repeated !== undefined) {
+      return res.status(400).json({ error: `Bad Request: Plan ${repeated} appears more than once in an atomic batch` });
+    }
+  }
+
+  try {
+    const summary = (results) => ({
+      results: results.map((result, index) => ({ index, ...result })),
+      count: results.length,
+      succeeded: results.filter(({ status }) => status < 300).length,
+      failed: results.filter(({ status }) => status >= 300).length,
+    });
+
+    if (!atomic) {
+      return res.status(200).json(summary(await runBatch(req, operations)));
+    }
+
+    const { results, applied } = await runAtomicBatch(req, operations);
+    if (!applied) {
+      return res.status(409).json({ error: 'Conflict: Batch not applied, some operations failed', ...summary(results) });
+    }
+    res.status(200).json(summary(results));
+  } catch (err) {
+    if (err instanceof PreconditionFailedError) return concurrentChange(res);
+    if (err instanceof ObjectConflictError) return objectConflict(res, err);
+    console.error('Error applying plan batch in Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not apply batch' });
+  }
+});
+
+// Deleted plans as listed in the trash, with when they will be purged
+function trashSummary(entry) {
+  return { ...entry, purgeAfter: purgeAfter(entry.deletedAt) };
+}
+
+// GET the deleted plans that can still be restored
+app.get(`/api/${API_VERSION}/trash`, verifyToken, async (req, res) => {
+  try {
+    const deleted = await planStore.listDeletedPlans();
+    res.status(200).json({ data: deleted.map(trashSummary), count: deleted.length });
+  } catch (err) {
+    console.error('Error listing deleted plans:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not list deleted plans' });
+  }
+});
+
+// GET a deleted plan as it was when it was deleted
+app.get(`/api/${API_VERSION}/trash/:objectId`, verifyToken, async (req, res) => {
+  const { objectId } = req.params;
+
+  try {
+    const entry = await planStore.getDeletedPlan(objectId);
+    if (!entry) {
+      return res.status(404).json({ message: "Not Found: Plan is not in the trash" });
+    }
+
+    const { plan, ...summary } = entry;
+    res.status(200).json({ ...trashSummary({ objectId, ...summary }), data: plan });
+  } catch (err) {
+    console.error('Error reading deleted plan:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not retrieve deleted plan' });
+  }
+});
+
+// POST (Restore) a deleted plan from the trash. Its services are restored as
+// they are in the catalog now, so restoring does not undo later renames.
+app.post(`/api/${API_VERSION}/plans/:objectId/restore`, verifyToken, idempotency.idempotent, async (req, res) => {
+  const { objectId } = req.params;
+
+  try {
+    const entry = await planStore.getDeletedPlan(objectId);
+    if (!entry) {
+      return res.status(404).json({ message: "Not Found: Plan is not in the trash" });
+    }
+    if (await planStore.planExists(objectId)) {
+      return res.status(409).json({ message: "Conflict: A plan with this objectId exists" });
+    }
+
+    const plan = await withCatalogServices(entry.plan);
+
+    // The schema may have moved on since the plan was deleted
+    if (!validatePlan(plan)) {
+      return res.status(400).json({ errors: validatePlan.errors });
+    }
+
+    const change = changeOf(req, 'restore', plan);
+    if (!(await planStore.restorePlan(plan, change))) {
+      return res.status(404).json({ message: "Not Found: Plan is not in the trash" });
+    }
+    await publishPlanChange(objectId, change, { plan, previous: null });
+
+    res.set('ETag', change.etag);
+    res.status(200).json({ message: "Plan restored", data: plan });
+  } catch (err) {
+    if (err instanceof PreconditionFailedError) {
+      return res.status(409).json({ message: "Conflict: A plan with this objectId exists" });
+    }
+    if (err instanceof ObjectConflictError) return objectConflict(res, err);
+    console.error('Error restoring plan in Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not restore plan' });
+  }
+});
+
+// GET a report of orphaned objects left in the store (see sweepOrphans)
+app.get(`/api/${API_VERSION}/admin/orphans`, verifyToken, requireAdmin, async (req, res) => {
+  try {
+    res.status(200).json(await planStore.sweepOrphans());
+  } catch (err) {
+    console.error('Error sweeping orphaned objects:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not sweep orphaned objects' });
+  }
+});
+
+// DELETE the orphaned objects, answering with the report of what was removed
+app.delete(`/api/${API_VERSION}/admin/orphans`, verifyToken, requireAdmin, async (req, res) => {
+  try {
+    res.status(200).json(await planStore.sweepOrphans({ purge: true }));
+  } catch (err) {
+    console.error('Error purging orphaned objects:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not purge orphaned objects' });
+  }
+});
+
+
+// Sub-resources of a plan. Each slice knows where it lives in the plan
+// document and is checked against its own part of schema.js before the
+// whole plan is validated and saved again.
+const planServiceSchema = planSchema.properties.linkedPlanServices.items;
+const validatePlanService = ajv.compile(planServiceSchema);
+const validateLinkedService = ajv.compile(planServiceSchema.properties.linkedService);
+
+function findService(plan, serviceId) {
+  return plan.linkedPlanServices.find((service) => service.objectId === serviceId);
+}
+
+const planSlices = [
+  {
+    path: '/planCostShares',
+    name: 'Plan cost shares',
+    validate: ajv.compile(planSchema.properties.planCostShares),
+    get: (plan) => plan.planCostShares,
+    set: (plan, params, value) => { plan.planCostShares = value; },
+  },
+  {
+    path: '/linkedPlanServices/:serviceId',
+    name: 'Linked plan service',
+    validate: validatePlanService,
+    get: (plan, { serviceId }) => findService(plan, serviceId),
+    set: (plan, { serviceId }, value) => {
+      const index = plan.linkedPlanServices.findIndex((service) => service.objectId === serviceId);
+      plan.linkedPlanServices[index] = value;
+    },
+    remove: (plan, { serviceId }) => {
+      plan.linkedPlanServices = plan.linkedPlanServices.filter((service) => service.objectId !== serviceId);
+    },
+    keepsObjectId: true,
+  },
+  {
+    path: '/linkedPlanServices/:serviceId/linkedService',
+    name: 'Linked service',
+    validate: validateLinkedService,
+    get: (plan, { serviceId }) => findService(plan, serviceId)?.linkedService,
+    set: (plan, { serviceId }, value) => { findService(plan, serviceId).linkedService = value; },
+  },
+  {
+    path: '/linkedPlanServices/:serviceId/planserviceCostShares',
+    name: 'Plan service cost shares',
+    validate: ajv.compile(planServiceSchema.properties.planserviceCostShares),
+    get: (plan, { serviceId }) => findService(plan, serviceId)?.planserviceCostShares,
+    set: (plan, { serviceId }, value) => { findService(plan, serviceId).planserviceCostShares = value; },
+  },
+];
+
+// Validate the slice and the resulting plan, then store it. Sends the error
+// response itself and returns null when the change is rejected.
+async function saveSlice(req, res, plan, slice, value) {
+  const { params } = req;
+  if (!slice.validate(value)) {
+    res.status(400).json({ errors: slice.validate.errors });
+    return null;
+  }
+
+  if (slice.keepsObjectId && value.objectId !== params.serviceId) {
+    res.status(400).json({ error: 'Bad Request: objectId in body does not match the URL' });
+    return null;
+  }
+
+  const planETag = generateETag(plan);
+  slice.set(plan, params, value);
+  if (!validatePlan(plan)) {
+    res.status(400).json({ errors: validatePlan.errors });
+    return null;
+  }
+
+  await storePlan(req, plan, 'update', planETag);
+  // The parent plan changed with its slice, so hand back its new ETag as well
+  res.set('X-Plan-ETag', generateETag(plan));
+  return value;
+}
+
+for (const slice of planSlices) {
+  const route = `/api/${API_VERSION}/plans/:objectId${slice.path}`;
+
+  // Load the plan and the slice, answering 404 if either is missing
+  const load = async (req, res) => {
+    const plan = await planStore.getPlan(req.params.objectId);
+    if (!plan) {
+      res.status(404).json({ message: "Not Found: Plan not found" });
+      return {};
+    }
+    const current = slice.get(plan, req.params);
+    if (!current) {
+      res.status(404).json({ message: `Not Found: ${slice.name} not found` });
+      return {};
+    }
+    // The slice changes with its plan, so it shares the plan's Last-Modified
+    const { lastModified } = await planValidators(plan);
+    return { plan, current, validators: { etag: generateETag(current), lastModified } };
+  };
+
+  app.get(route, verifyToken, async (req, res) => {
+    try {
+      const { current, validators } = await load(req, res);
+      if (!current) return;
+
+      if (!preconditionsMet(req, res, validators)) return;
+      res.status(200).json(current);
+    } catch (err) {
+      console.error(`Error reading ${slice.name} from Redis:`, err);
+      res.status(500).json({ error: `Internal Server Error: Could not retrieve ${slice.name}` });
+    }
+  });
+
+  app.put(route, verifyToken, async (req, res) => {
+    try {
+      const { plan, current, validators } = await load(req, res);
+      if (!current) return;
+
+      if (!preconditionsMet(req, res, validators, 'slice.put')) return;
+
+      const saved = await saveSlice(req, res, plan, slice, req.body);
+      if (!saved) return;
+
+      res.set('ETag', generateETag(saved));
+      res.status(200).json({ message: `${slice.name} replaced`, data: saved });
+    } catch (err) {
+      if (err instanceof PreconditionFailedError) return concurrentChange(res);
+      if (err instanceof ObjectConflictError) return objectConflict(res, err);
+      console.error(`Error replacing ${slice.name} in Redis:`, err);
+      res.status(500).json({ error: `Internal Server Error: Could not replace ${slice.name}` });
+    }
+  });
+
+  app.patch(route, verifyToken, idempotency.idempotent, async (req, res) => {
+    try {
+      const { plan, current, validators } = await load(req, res);
+      if (!current) return;
+
+      if (!preconditionsMet(req, res, validators, 'slice.patch')) return;
+
+      const saved = await saveSlice(req, res, plan, slice, mergePatch(current, req.body));
+      if (!saved) return;
+
+      res.set('ETag', generateETag(saved));
+      res.status(200).json({ message: `${slice.name} updated`, data: saved });
+    } catch (err) {
+      if (err instanceof PreconditionFailedError) return concurrentChange(res);
+      if (err instanceof ObjectConflictError) return objectConflict(res, err);
+      console.error(`Error updating ${slice.name} in Redis:`, err);
+      res.status(500).json({ error: `Internal Server Error: Could not update ${slice.name}` });
+    }
+  });
+
+  // Required parts of a plan (e.g. planCostShares) cannot be deleted on their own
+  if (!slice.remove) continue;
+
+  app.delete(route, verifyToken, async (req, res) => {
+    try {
+      const { plan, current, validators } = await load(req, res);
+      if (!current) return;
+
+      if (!preconditionsMet(req, res, validators, 'slice.delete')) return;
+
+      const planETag = generateETag(plan);
+      slice.remove(plan, req.params);
+      await storePlan(req, plan, 'update', planETag);
+      res.set('X-Plan-ETag', generateETag(plan));
+      res.status(204).end();
+    } catch (err) {
+      if (err instanceof PreconditionFailedError) return concurrentChange(res);
+      if (err instanceof ObjectConflictError) return objectConflict(res, err);
+      console.error(`Error deleting ${slice.name} from Redis:`, err);
+      res.status(500).json({ error: `Internal Server Error: Could not delete ${slice.name}` });
+    }
+  });
+}
+
+// GET all linked plan services of a plan
+app.get(`/api/${API_VERSION}/plans/:objectId/linkedPlanServices`, verifyToken, async (req, res) => {
+  try {
+    const plan = await planStore.getPlan(req.params.objectId);
+    if (!plan) {
+      return res.status(404).json({ message: "Not Found: Plan not found" });
+    }
+
+    const { lastModified } = await planValidators(plan);
+    const services = plan.linkedPlanServices;
+    if (!preconditionsMet(req, res, { etag: generateETag(services), lastModified })) return;
+    res.status(200).json(services);
+  } catch (err) {
+    console.error('Error reading linked plan services from Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not retrieve linked plan services' });
+  }
+});
+
+// POST (Add) a linked plan service to an existing plan
+app.post(`/api/${API_VERSION}/plans/:objectId/linkedPlanServices`, verifyToken, idempotency.idempotent, async (req, res) => {
+  const service = req.body;
+
+  try {
+    const plan = await planStore.getPlan(req.params.objectId);
+    if (!plan) {
+      return res.status(404).json({ message: "Not Found: Plan not found" });
+    }
+
+    // Conditional headers refer to the plan the service is added to
+    const validators = await planValidators(plan);
+    if (!preconditionsMet(req, res, validators, 'linkedPlanService.post')) return;
+
+    if (!validatePlanService(service)) {
+      return res.status(400).json({ errors: validatePlanService.errors });
+    }
+
+    const existing = findService(plan, service.objectId);
+    if (existing) {
+      res.set('ETag', generateETag(existing));
+      return res.status(409).json({ message: "Conflict: Linked plan service already exists", data: existing });
+    }
+
+    const planETag = validators.etag;
+    plan.linkedPlanServices.push(service);
+    if (!validatePlan(plan)) {
+      return res.status(400).json({ errors: validatePlan.errors });
+    }
+
+    await storePlan(req, plan, 'update', planETag);
+    res.set('ETag', generateETag(service));
+    res.set('X-Plan-ETag', generateETag(plan));
+    res.status(201).json({ message: "Linked plan service created", data: service });
+  } catch (err) {
+    if (err instanceof PreconditionFailedError) return concurrentChange(res);
+    if (err instanceof ObjectConflictError) return objectConflict(res, err);
+    console.error('Error adding linked plan service in Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not add linked plan service' });
+  }
+});
+
+// Service catalog. Plans link services by objectId and always show the
+// catalog copy, so a change here shows up in every plan linking the service.
+
+// Check a catalog service; sends the error response and returns false if invalid
+function checkService(res, service) {
+  if (!validateLinkedService(service)) {
+    res.status(400).json({ errors: validateLinkedService.errors });
+    return false;
+  }
+  if (service.objectType !== 'service') {
+    res.status(400).json({ error: 'Bad Request: objectType must be "service"' });
+    return false;
+  }
+  return true;
+}
+
+// The plans linking a service changed with it, so queue them for reindexing
+// and tell the change feed and webhooks. `before` has the plans as they were
+// before the service was written, by objectId.
+async function publishServiceChange(req, plans, before) {
+  const user = req.user.email || req.user.sub;
+  for (const objectId of plans) {
+    const plan = await planStore.getPlan(objectId);
+    const stored = { type: 'updated', objectId, etag: plan ? generateETag(plan) : null, user };
+    await changeQueue.publishChange(stored);
+
+    if (plan && (changeFeed.isEnabled() || webhooks.isEnabled())) {
+      const event = changeFeed.describeChange(stored, { plan, previous: before.get(objectId) || null });
+      await changeFeed.publishEvent(event);
+      await webhooks.publishEvent(event);
+    }
+  }
+}
+
+// Store a catalog service and return the ids of the plans it shows up in.
+// Like storePlan, only written if the stored service still has `expectedETag`.
+async function storeService(req, service, expectedETag) {
+  const before = new Map();
+  for (const objectId of await planStore.getServicePlans(service.objectId)) {
+    before.set(objectId, await planStore.getPlan(objectId));
+  }
+
+  await planStore.saveService(service, hasETag(expectedETag));
+  const plans = await planStore.getServicePlans(service.objectId);
+  await publishServiceChange(req, plans, before);
+  return plans;
+}
+
+// GET all catalog services
+app.get(`/api/${API_VERSION}/services`, verifyToken, async (req, res) => {
+  try {
+    const services = await planStore.listServices();
+    res.status(200).json({ data: services, count: services.length });
+  } catch (err) {
+    console.error('Error listing services:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not list services' });
+  }
+});
+
+// POST (Create) a catalog service
+app.post(`/api/${API_VERSION}/services`, verifyToken, idempotency.idempotent, async (req, res) => {
+  const service = req.body;
+  if (!checkService(res, service)) return;
+
+  try {
+    const existing = await planStore.getService(service.objectId);
+    if (existing) {
+      res.set('ETag', generateETag(existing));
+      return res.status(409).json({ message: "Conflict: Service already exists", data: existing });
+    }
+
+    await storeService(req, service, null);
+    res.set('ETag', generateETag(service));
+    res.status(201).json({ message: "Service created", data: service });
+  } catch (err) {
+    if (err instanceof PreconditionFailedError) {
+      return res.status(409).json({ message: "Conflict: Service already exists" });
+    }
+    console.error('Error storing service:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not store service' });
+  }
+});
+
+// GET a catalog service with the ids of the plans linking it
+app.get(`/api/${API_VERSION}/services/:objectId`, verifyToken, async (req, res) => {
+  try {
+    const service = await planStore.getService(req.params.objectId);
+    if (!service) {
+      return res.status(404).json({ message: "Not Found: Service not found" });
+    }
+
+    if (!preconditionsMet(req, res, { etag: generateETag(service) })) return;
+
+    const plans = await planStore.getServicePlans(service.objectId);
+    res.status(200).json({ data: service, plans });
+  } catch (err) {
+    console.error('Error reading service:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not retrieve service' });
+  }
+});
+
+// PUT (Replace) or PATCH (Merge Patch) a catalog service, e.g. to rename it.
+// The Idempotency-Key header only applies to the PATCH.
+for (const method of ['put', 'patch']) {
+  app[method](`/api/${API_VERSION}/services/:objectId`, verifyToken, idempotency.idempotent, async (req, res) => {
+    const { objectId } = req.params;
+
+    try {
+      const existing = await planStore.getService(objectId);
+      // PUT with If-None-Match: * creates the service if it does not exist yet
+      if (!existing && !(method === 'put' && isCreateOnly(req))) {
+        return res.status(404).json({ message: "Not Found: Service not found" });
+      }
+
+      const currentETag = existing ? generateETag(existing) : null;
+      if (!preconditionsMet(req, res, { etag: currentETag }, `service.${method}`)) return;
+
+      const service = method === 'put' ? req.body : mergePatch(existing, req.body);
+      if (!checkService(res, service)) return;
+      if (service.objectId !== objectId) {
+        return res.status(400).json({ error: 'Bad Request: objectId in body does not match the URL' });
+      }
+
+      const plans = await storeService(req, service, currentETag);
+      res.set('ETag', generateETag(service));
+      if (!existing) {
+        return res.status(201).json({ message: "Service created", data: service, plans });
+      }
+      res.status(200).json({ message: method === 'put' ? "Service replaced" : "Service updated", data: service, plans });
+    } catch (err) {
+      if (err instanceof PreconditionFailedError) {
+        return res.status(412).json({ error: 'Precondition Failed: Service was changed by another request' });
+      }
+      console.error('Error updating service:', err);
+      res.status(500).json({ error: 'Internal Server Error: Could not update service' });
+    }
+  });
+}
+
+// DELETE a catalog service; refused while plans still link it. Like plans,
+// honours If-Match so a changed service is not deleted.
+app.delete(`/api/${API_VERSION}/services/:objectId`, verifyToken, async (req, res) => {
+  const { objectId } = req.params;
+
+  try {
+    const service = await planStore.getService(objectId);
+    if (!service) {
+      return res.status(404).json({ message: "Not Found: Service not found" });
+    }
+
+    const etag = generateETag(service);
+    if (!preconditionsMet(req, res, { etag }, 'service.delete')) return;
+
+    // Refused while plans link it, checked by the store together with the delete
+    const deleted = await planStore.deleteService(objectId, isConditional(req) ? hasETag(etag) : undefined);
+    if (!deleted) {
+      return res.status(404).json({ message: "Not Found: Service not found" });
+    }
+    res.status(204).send();
+  } catch (err) {
+    if (err instanceof PreconditionFailedError) {
+      return res.status(412).json({ error: 'Precondition Failed: Service was changed by another request' });
+    }
+    if (err instanceof ServiceInUseError) {
+      return res.status(409).json({ error: 'Conflict: Service is still linked by plans', plans: err.plans });
+    }
+    console.error('Error deleting service:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not delete service' });
+  }
+});
+
+// Webhooks: integrators register a URL that gets a signed POST for every plan
+// change they asked for (see webhooks.js). Webhooks belong to the user who
+// registered them; other users get a 404.
+const validateWebhook = ajv.compile(webhooks.webhookSchema);
+
+// Webhooks are kept in Redis, so without it the routes are not there
+function webhooksEnabled(req, res, next) {
+  if (!webhooks.isEnabled()) {
+    return res.status(404).json({ message: "Not Found: Webhooks are disabled" });
+  }
+  next();
+}
+
+async function findWebhook(req, res) {
+  const webhook = await webhooks.getWebhook(req.params.webhookId);
+  if (!webhook || webhook.owner !== (req.user.email || req.user.sub)) {
+    res.status(404).json({ message: "Not Found: Webhook not found" });
+    return null;
+  }
+  return webhook;
+}
+
+// POST (Register) a Webhook: { url, events: ["created", "updated", "deleted"], _org }.
+// The response is the only place the signing secret is shown.
+app.post(`/api/${API_VERSION}/webhooks`, verifyToken, webhooksEnabled, idempotency.idempotent, async (req, res) => {
+  if (!validateWebhook(req.body)) {
+    return res.status(400).json({ errors: validateWebhook.errors });
+  }
+
+  try {
+    const webhook = await webhooks.createWebhook(req.user.email || req.user.sub, req.body);
+    res.status(201).json({ message: "Webhook created", data: webhook });
+  } catch (err) {
+    if (err instanceof webhooks.WebhookError) {
+      return res.status(400).json({ error: `Bad Request: ${err.message}` });
+    }
+    console.error('Error storing webhook in Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not store webhook' });
+  }
+});
+
+// GET (List) the caller's Webhooks
+app.get(`/api/${API_VERSION}/webhooks`, verifyToken, webhooksEnabled, async (req, res) => {
+  try {
+    const data = await webhooks.listWebhooks(req.user.email || req.user.sub);
+    res.status(200).json({ data, count: data.length });
+  } catch (err) {
+    console.error('Error listing webhooks from Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not list webhooks' });
+  }
+});
+
+// GET a Webhook
+app.get(`/api/${API_VERSION}/webhooks/:webhookId`, verifyToken, webhooksEnabled, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (webhook) res.status(200).json(webhook);
+  } catch (err) {
+    console.error('Error fetching webhook from Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not fetch webhook' });
+  }
+});
+
+// DELETE a Webhook; deliveries still queued for it are dropped
+app.delete(`/api/${API_VERSION}/webhooks/:webhookId`, verifyToken, webhooksEnabled, async (req, res) => {
+  try {
+    if (!(await findWebhook(req, res))) return;
+    await webhooks.deleteWebhook(req.params.webhookId);
+    res.status(204).send();
+  } catch (err) {
+    console.error('Error deleting webhook from Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not delete webhook' });
+  }
+});
+
+// GET the delivery log of a Webhook, newest first, with every attempt
+app.get(`/api/${API_VERSION}/webhooks/:webhookId/deliveries`, verifyToken, webhooksEnabled, async (req, res) => {
+  try {
+    if (!(await findWebhook(req, res))) return;
+    const data = await webhooks.listDeliveries(req.params.webhookId);
+    res.status(200).json({ data, count: data.length });
+  } catch (err) {
+    console.error('Error fetching webhook deliveries from Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not fetch webhook deliveries' });
+  }
+});
+
+// POST (Redeliver) the event of a logged delivery again, as a new delivery
+app.post(`/api/${API_VERSION}/webhooks/:webhookId/deliveries/:deliveryId/redeliver`, verifyToken, webhooksEnabled, async (req, res) => {
+  try {
+    if (!(await findWebhook(req, res))) return;
+    const delivery = await webhooks.redeliver(req.params.webhookId, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ message: "Not Found: Delivery not found" });
+    }
+    res.status(202).json({ message: "Delivery queued", data: delivery });
+  } catch (err) {
+    console.error('Error queueing webhook delivery in Redis:', err);
+    res.status(500).json({ error: 'Internal Server Error: Could not queue delivery' });
+  }
+});
+
+// The change feed over WebSockets, at the URL of the SSE feed and with the same
+// query parameters. Every event comes as a JSON message { id, ...event };
+// { type: 'reset' } means missed events are gone. Connections are pinged so
+// dead ones get closed.
+const FEED_PATH = `/api/${API_VERSION}/plans/changes`;
+const feedSockets = new WebSocketServer({ noServer: true });
+
+function refuseUpgrade(socket, status, error) {
+  const body = JSON.stringify({ error });
+  socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: application/json\r\n`
+    + `Content-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`);
+}
+
+async function feedUpgrade(req, socket, head) {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname !== FEED_PATH || !changeFeed.isEnabled()) {
+    return refuseUpgrade(socket, 404, 'Not Found: No WebSocket endpoint here');
+  }
+
+  const { user, status, error } = await authenticate(req);
+  if (!user) return refuseUpgrade(socket, status, error);
+
+  req.query = Object.fromEntries(url.searchParams);
+  const subscription = feedSubscription(req);
+  if (subscription.error) return refuseUpgrade(socket, 400, subscription.error);
+
+  feedSockets.handleUpgrade(req, socket, head, async (ws) => {
+    const sendJSON = (message) => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+    };
+    let alive = true;
+    ws.on('pong', () => {
+      alive = true;
+    });
+    const ping = setInterval(() => {
+      if (!alive) return ws.terminate();
+      alive = false;
+      ws.ping();
+    }, FEED_PING_MS);
+
+    let unsubscribe = () => {};
+    ws.on('close', () => {
+      clearInterval(ping);
+      unsubscribe();
+    });
+
+    try {
+      unsubscribe = await changeFeed.subscribe(subscription, {
+        send: (id, event) => sendJSON({ id, ...event }),
+        reset: () => sendJSON({ type: 'reset', message: 'Missed events are no longer available, read the plans again' }),
+        close: () => ws.close(1011, 'Change feed unavailable'),
+      });
+      if (ws.readyState !== ws.OPEN) unsubscribe();
+    } catch (err) {
+      console.error('Error subscribing to the change feed in Redis:', err);
+      ws.close(1011, 'Change feed unavailable');
+    }
+  });
+}
 
 // Gracefully handle process termination
 process.on('SIGINT', async () => {
-  console.log('Disconnecting Redis client...');
-  await redisClient.quit();
+  console.log('Closing plan storage...');
+  stopPurge();
+  webhooks.stopDeliveries();
+  await planStore.close();
+  await closeRedis();
   process.exit(0);
 });
 
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-});
+// Only accept traffic once the store (and Redis for the indexing queue, the
+// change feed, webhooks and idempotency keys, if enabled) is ready
+const redisFeatures = [
+  [changeQueue, 'search indexing'],
+  [changeFeed, 'the change feed'],
+  [webhooks, 'webhooks'],
+  [idempotency, 'idempotency keys'],
+].filter(([feature]) => feature.isEnabled()).map(([, name]) => name);
+
+function connectFeatureRedis() {
+  if (redisFeatures.length === 0) {
+    console.log('Search indexing, the change feed, webhooks and idempotency keys are off');
+    return null;
+  }
+  return connectRedis().catch((err) => {
+    throw new Error(`Could not connect to Redis for ${redisFeatures.join(', ')}: ${err.message}`);
+  });
+}
+
+Promise.all([
+  planStore.connect().catch((err) => {
+    throw new Error(`Could not connect to plan storage: ${err.message}`);
+  }),
+  connectFeatureRedis(),
+])
+  .then(() => {
+    startPurge();
+    webhooks.startDeliveries();
+    const server = app.listen(PORT, () => {
+      console.log(`Server running on http://localhost:${PORT}`);
+    });
+    server.on('upgrade', feedUpgrade);
+  })
+  .catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
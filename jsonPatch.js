@@ -0,0 +1,178 @@
+// JSON Patch (RFC 6902) over JSON Pointers (RFC 6901). The patch is applied to
+// a copy of the document, so a failing operation leaves the original untouched
+// and the whole patch is rejected.
+
+class JsonPatchError extends Error {
+  constructor(message, status = 400, index) {
+    super(index === undefined ? message : `Operation ${index}: ${message}`);
+    this.name = 'JsonPatchError';
+    this.status = status;
+  }
+}
+
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string') {
+    throw new JsonPatchError('JSON pointer must be a string');
+  }
+  if (pointer === '') return [];
+  if (!pointer.startsWith('/')) {
+    throw new JsonPatchError(`Invalid JSON pointer "${pointer}"`);
+  }
+  return pointer.slice(1).split('/').map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function arrayIndex(array, token, allowEnd) {
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+    throw new JsonPatchError(`Invalid array index "${token}"`);
+  }
+  const index = Number(token);
+  if (index > array.length || (!allowEnd && index === array.length)) {
+    throw new JsonPatchError(`Array index ${index} is out of bounds`);
+  }
+  return index;
+}
+
+// Walk to the container that holds the last token of the pointer
+function resolveParent(doc, tokens, pointer) {
+  let current = doc;
+  for (const token of tokens.slice(0, -1)) {
+    if (Array.isArray(current)) {
+      current = current[arrayIndex(current, token, false)];
+    } else if (isContainer(current) && Object.prototype.hasOwnProperty.call(current, token)) {
+      current = current[token];
+    } else {
+      throw new JsonPatchError(`Path "${pointer}" does not exist`);
+    }
+  }
+  if (!isContainer(current)) {
+    throw new JsonPatchError(`Path "${pointer}" does not exist`);
+  }
+  return { parent: current, key: tokens[tokens.length - 1] };
+}
+
+function getValue(doc, pointer) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) return doc;
+
+  const { parent, key } = resolveParent(doc, tokens, pointer);
+  if (Array.isArray(parent)) {
+    return parent[arrayIndex(parent, key, false)];
+  }
+  if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+    throw new JsonPatchError(`Path "${pointer}" does not exist`);
+  }
+  return parent[key];
+}
+
+function addValue(doc, pointer, value) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) return value;
+
+  const { parent, key } = resolveParent(doc, tokens, pointer);
+  if (Array.isArray(parent)) {
+    const index = key === '-' ? parent.length : arrayIndex(parent, key, true);
+    parent.splice(index, 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return doc;
+}
+
+function removeValue(doc, pointer) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    throw new JsonPatchError('Cannot remove the whole document');
+  }
+
+  const { parent, key } = resolveParent(doc, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, false), 1);
+  } else if (Object.prototype.hasOwnProperty.call(parent, key)) {
+    delete parent[key];
+  } else {
+    throw new JsonPatchError(`Path "${pointer}" does not exist`);
+  }
+  return doc;
+}
+
+function replaceValue(doc, pointer, value) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) return value;
+
+  getValue(doc, pointer);
+  const { parent, key } = resolveParent(doc, tokens, pointer);
+  parent[Array.isArray(parent) ? Number(key) : key] = value;
+  return doc;
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (!isContainer(a) || !isContainer(b) || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length
+    && keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+function applyOperation(doc, operation) {
+  if (!isContainer(operation) || Array.isArray(operation)) {
+    throw new JsonPatchError('Operation must be an object');
+  }
+  const { op, path, from, value } = operation;
+  const needsValue = ['add', 'replace', 'test'].includes(op);
+  if (needsValue && !Object.prototype.hasOwnProperty.call(operation, 'value')) {
+    throw new JsonPatchError(`"${op}" requires a value`);
+  }
+  parsePointer(path);
+
+  switch (op) {
+    case 'add':
+      return addValue(doc, path, structuredClone(value));
+    case 'remove':
+      return removeValue(doc, path);
+    case 'replace':
+      return replaceValue(doc, path, structuredClone(value));
+    case 'move': {
+      if (path !== from && path.startsWith(`${from}/`)) {
+        throw new JsonPatchError(`Cannot move "${from}" into one of its children`);
+      }
+      const moved = getValue(doc, from);
+      return addValue(removeValue(doc, from), path, moved);
+    }
+    case 'copy':
+      return addValue(doc, path, structuredClone(getValue(doc, from)));
+    case 'test':
+      if (!deepEqual(getValue(doc, path), value)) {
+        throw new JsonPatchError(`Test failed at "${path}"`, 409);
+      }
+      return doc;
+    default:
+      throw new JsonPatchError(`Unknown operation "${op}"`);
+  }
+}
+
+// Returns the patched copy of `document`, or throws a JsonPatchError
+function applyPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    throw new JsonPatchError('A JSON Patch must be an array of operations');
+  }
+
+  let doc = structuredClone(document);
+  operations.forEach((operation, index) => {
+    try {
+      doc = applyOperation(doc, operation);
+    } catch (err) {
+      if (!(err instanceof JsonPatchError)) throw err;
+      throw new JsonPatchError(err.message, err.status, index);
+    }
+  });
+  return doc;
+}
+
+module.exports = { applyPatch, JsonPatchError };
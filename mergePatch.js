@@ -0,0 +1,52 @@
+// JSON Merge Patch (RFC 7396) with one extension for plan documents: arrays of
+// objects that carry an objectId are merged item by item instead of being
+// replaced, so patching one linked plan service keeps the others. An empty
+// array still replaces the list, which is how a patch clears it.
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasObjectIds(items) {
+  return items.length > 0 && items.every((item) => isObject(item) && typeof item.objectId === 'string');
+}
+
+function mergeArray(target, patch) {
+  // Plain arrays keep the RFC behaviour and are replaced as a whole
+  if (!Array.isArray(target) || !hasObjectIds(target) || !hasObjectIds(patch)) {
+    return patch;
+  }
+
+  const result = [...target];
+  for (const item of patch) {
+    const index = result.findIndex((existing) => existing.objectId === item.objectId);
+    if (index === -1) {
+      result.push(mergePatch(undefined, item));
+    } else {
+      result[index] = mergePatch(result[index], item);
+    }
+  }
+  return result;
+}
+
+// Returns a new document; neither argument is modified
+function mergePatch(target, patch) {
+  if (Array.isArray(patch)) {
+    return mergeArray(target, patch);
+  }
+  if (!isObject(patch)) {
+    return patch;
+  }
+
+  const result = isObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+module.exports = mergePatch;
@@ -0,0 +1,93 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Ajv = require('ajv');
+const planStore = require('./storage');
+const planSchema = require('./schema');
+const { connectRedis, getRedisClient, closeRedis } = require('./redisConnection');
+const { generateETag } = require('./conditional');
+const { ObjectConflictError, PreconditionFailedError } = require('./storage/errors');
+
+// One-off migration of plans written before plans were stored as a graph. The
+// API used to keep each plan as one JSON string under its bare objectId; those
+// plans are not found or listed any more. Run it once against the Redis the
+// old API wrote to:
+//
+//   node migrateLegacyPlans.js
+//
+// Every such plan is saved through the configured storage backend as a create,
+// with the operation "migrate" in its history, and the old key is deleted.
+// A plan is left where it is when it does not pass schema.js, when a plan
+// with the same objectId exists in the store already, or when it embeds a
+// service or shared object that differs from the stored copy; each one is
+// reported. Running it again only picks up what is left. Afterwards, run
+// `node worker.js reindex` so the migrated plans can be searched.
+
+const MIGRATION_USER = 'migration';
+
+const validatePlan = new Ajv().compile(planSchema);
+
+// The plan stored under `key` by the old API, or null if `key` holds anything else
+async function readLegacyPlan(key) {
+  let plan;
+  try {
+    plan = JSON.parse(await getRedisClient().get(key));
+  } catch (err) {
+    return null;
+  }
+  const isPlan = plan !== null && typeof plan === 'object' && plan.objectId === key;
+  return isPlan ? plan : null;
+}
+
+// Resolves to 'migrated', or to why the plan was left in place
+async function migratePlan(key, plan) {
+  if (!validatePlan(plan)) {
+    return `does not match the plan schema: ${JSON.stringify(validatePlan.errors)}`;
+  }
+  const change = { user: MIGRATION_USER, operation: 'migrate', etag: generateETag(plan) };
+  try {
+    await planStore.savePlan(plan, change, (current) => current === null);
+  } catch (err) {
+    if (err instanceof PreconditionFailedError) return 'a plan with this objectId exists already';
+    if (err instanceof ObjectConflictError) return err.message;
+    throw err;
+  }
+  await getRedisClient().del(key);
+  return 'migrated';
+}
+
+async function migrate() {
+  let migrated = 0;
+  let skipped = 0;
+  for await (const key of getRedisClient().scanIterator({ TYPE: 'string', COUNT: 100 })) {
+    const plan = await readLegacyPlan(key);
+    if (!plan) continue;
+
+    const result = await migratePlan(key, plan);
+    if (result === 'migrated') {
+      migrated += 1;
+    } else {
+      skipped += 1;
+      console.error(`Plan ${key} was not migrated: ${result}`);
+    }
+  }
+  console.log(`Migrated ${migrated} plan(s), left ${skipped} in place`);
+  return skipped;
+}
+
+async function main() {
+  if (process.env.STORAGE_BACKEND === 'memory') {
+    throw new Error('The memory backend only lives inside the API process; migrate into redis or mongo');
+  }
+  await Promise.all([planStore.connect(), connectRedis()]);
+  const skipped = await migrate();
+  await planStore.close();
+  await closeRedis();
+  if (skipped > 0) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
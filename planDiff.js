@@ -0,0 +1,166 @@
+// Structural diff between two plans. Arrays of objects carrying an objectId
+// (linkedPlanServices) are matched by objectId rather than by position, so a
+// service added in the middle shows up as one addition instead of a cascade of
+// changed entries. The result comes both as an RFC 6902 JSON Patch that turns
+// `left` into `right`, and as a readable summary grouped by service.
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isKeyedArray(value) {
+  return Array.isArray(value) && value.every((item) => isObject(item) && typeof item.objectId === 'string');
+}
+
+function equal(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => equal(item, b[index]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => key in b && equal(a[key], b[key]));
+  }
+  return false;
+}
+
+function escapeToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// --- JSON Patch ------------------------------------------------------------
+
+function keyedArrayPatch(left, right, path, ops) {
+  const rightIds = right.map((item) => item.objectId);
+
+  // Removals from the back so earlier indices stay valid
+  const current = left.map((item) => item.objectId);
+  for (let index = left.length - 1; index >= 0; index -= 1) {
+    if (!rightIds.includes(left[index].objectId)) {
+      ops.push({ op: 'remove', path: `${path}/${index}` });
+      current.splice(index, 1);
+    }
+  }
+
+  current.forEach((objectId, index) => {
+    const before = left.find((item) => item.objectId === objectId);
+    const after = right.find((item) => item.objectId === objectId);
+    valuePatch(before, after, `${path}/${index}`, ops);
+  });
+
+  for (const item of right) {
+    if (!current.includes(item.objectId)) {
+      ops.push({ op: 'add', path: `${path}/-`, value: item });
+      current.push(item.objectId);
+    }
+  }
+
+  // Put the items in the same order as `right`
+  rightIds.forEach((objectId, index) => {
+    const from = current.indexOf(objectId);
+    if (from !== index) {
+      ops.push({ op: 'move', from: `${path}/${from}`, path: `${path}/${index}` });
+      current.splice(index, 0, ...current.splice(from, 1));
+    }
+  });
+}
+
+function valuePatch(left, right, path, ops) {
+  if (equal(left, right)) return;
+
+  if (isObject(left) && isObject(right)) {
+    for (const key of Object.keys(left)) {
+      if (!(key in right)) ops.push({ op: 'remove', path: `${path}/${escapeToken(key)}` });
+    }
+    for (const [key, value] of Object.entries(right)) {
+      const childPath = `${path}/${escapeToken(key)}`;
+      if (key in left) {
+        valuePatch(left[key], value, childPath, ops);
+      } else {
+        ops.push({ op: 'add', path: childPath, value });
+      }
+    }
+  } else if (isKeyedArray(left) && isKeyedArray(right)) {
+    keyedArrayPatch(left, right, path, ops);
+  } else {
+    ops.push({ op: 'replace', path, value: right });
+  }
+}
+
+// --- Summary ---------------------------------------------------------------
+
+function formatValue(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+// Leaf changes as { path, from, to }, with dotted paths relative to `prefix`
+function fieldChanges(left, right, prefix = '') {
+  if (equal(left, right)) return [];
+  if (!isObject(left) || !isObject(right)) {
+    return [{ path: prefix, from: left, to: right }];
+  }
+
+  const keys = [...new Set([...Object.keys(left), ...Object.keys(right)])];
+  return keys.flatMap((key) => fieldChanges(left[key], right[key], prefix ? `${prefix}.${key}` : key));
+}
+
+function serviceLabel(service) {
+  const name = service.linkedService && service.linkedService.name;
+  return name ? `"${name}" (${service.objectId})` : service.objectId;
+}
+
+function summarize(left, right) {
+  const leftServices = left.linkedPlanServices || [];
+  const rightServices = right.linkedPlanServices || [];
+  const byId = (services, objectId) => services.find((service) => service.objectId === objectId);
+
+  const withoutServices = (plan) => Object.fromEntries(
+    Object.entries(plan).filter(([key]) => key !== 'linkedPlanServices'),
+  );
+  const fields = fieldChanges(withoutServices(left), withoutServices(right));
+
+  const added = rightServices.filter((service) => !byId(leftServices, service.objectId));
+  const removed = leftServices.filter((service) => !byId(rightServices, service.objectId));
+  const changed = rightServices
+    .filter((service) => byId(leftServices, service.objectId))
+    .map((service) => ({ service, fields: fieldChanges(byId(leftServices, service.objectId), service) }))
+    .filter((entry) => entry.fields.length > 0);
+
+  const describe = (change, where = '') => (
+    change.from === undefined ? `${where}${change.path} set to ${formatValue(change.to)}`
+      : change.to === undefined ? `${where}${change.path} removed (was ${formatValue(change.from)})`
+        : `${where}${change.path} changed from ${formatValue(change.from)} to ${formatValue(change.to)}`
+  );
+
+  const text = [
+    ...fields.map((change) => describe(change)),
+    ...added.map((service) => `Service ${serviceLabel(service)} added`),
+    ...removed.map((service) => `Service ${serviceLabel(service)} removed`),
+    ...changed.flatMap(({ service, fields: serviceFields }) => (
+      serviceFields.map((change) => describe(change, `Service ${serviceLabel(service)}: `))
+    )),
+  ];
+
+  const brief = (service) => ({
+    objectId: service.objectId,
+    name: service.linkedService ? service.linkedService.name : undefined,
+  });
+
+  return {
+    fields,
+    services: {
+      added: added.map(brief),
+      removed: removed.map(brief),
+      changed: changed.map(({ service, fields: serviceFields }) => ({ ...brief(service), fields: serviceFields })),
+    },
+    text,
+  };
+}
+
+function diffPlans(left, right) {
+  const patch = [];
+  valuePatch(left, right, '', patch);
+  return { patch, summary: summarize(left, right) };
+}
+
+module.exports = { diffPlans };
@@ -0,0 +1,201 @@
+const planStore = require('./storage');
+
+// Filtering, sorting and cursor pagination for GET /plans. Plan ids are
+// collected with SCAN (planStore.eachPlanId) so Redis is never blocked by a
+// KEYS call. Unsorted listings go
+// through the ids in order and the cursor holds the id a page starts or ends
+// at; sorted listings have to see every match first, so they page by offset.
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+const PAGE_SIZE = 100;
+
+class QueryError extends Error {}
+
+// creationDate is stored as MM-DD-YYYY (e.g. "12-12-2017"); ISO dates also work
+function parseDate(value) {
+  const match = /^(\d{2})-(\d{2})-(\d{4})$/.exec(value);
+  const time = match
+    ? Date.UTC(Number(match[3]), Number(match[1]) - 1, Number(match[2]))
+    : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+const SORT_FIELDS = {
+  _org: (plan) => plan._org,
+  planType: (plan) => plan.planType,
+  creationDate: (plan) => parseDate(plan.creationDate),
+  copay: (plan) => plan.planCostShares.copay,
+  deductible: (plan) => plan.planCostShares.deductible,
+};
+
+// query parameter -> [sort field, bound]
+const RANGE_FILTERS = {
+  creationDateFrom: ['creationDate', 'min'],
+  creationDateTo: ['creationDate', 'max'],
+  copayMin: ['copay', 'min'],
+  copayMax: ['copay', 'max'],
+  deductibleMin: ['deductible', 'min'],
+  deductibleMax: ['deductible', 'max'],
+};
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(token) {
+  try {
+    const position = JSON.parse(Buffer.from(token, 'base64url').toString());
+    if (position && typeof position === 'object') return position;
+  } catch (err) {
+    // fall through to the error below
+  }
+  throw new QueryError('Invalid cursor');
+}
+
+function parseNumber(name, value) {
+  const number = Number(value);
+  if (value === '' || Number.isNaN(number)) {
+    throw new QueryError(`${name} must be a number`);
+  }
+  return number;
+}
+
+// Turn req.query into { filters, ranges, sort, limit, cursor }
+function parseListQuery(query) {
+  const filters = {};
+  for (const field of ['_org', 'planType']) {
+    if (query[field] !== undefined) filters[field] = String(query[field]);
+  }
+
+  const ranges = [];
+  for (const [param, [field, bound]] of Object.entries(RANGE_FILTERS)) {
+    if (query[param] === undefined) continue;
+    const value = field === 'creationDate' ? parseDate(String(query[param])) : parseNumber(param, query[param]);
+    if (value === null) {
+      throw new QueryError(`${param} must be a date`);
+    }
+    ranges.push({ field, bound, value });
+  }
+
+  let sort = null;
+  if (query.sort !== undefined) {
+    const raw = String(query.sort);
+    const field = raw.replace(/^-/, '');
+    if (!SORT_FIELDS[field]) {
+      throw new QueryError(`sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+    sort = { field, descending: raw.startsWith('-') };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseNumber('limit', query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new QueryError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  const cursor = query.cursor === undefined ? null : decodeCursor(String(query.cursor));
+  return { filters, ranges, sort, limit, cursor };
+}
+
+function matches(plan, { filters, ranges }) {
+  for (const [field, value] of Object.entries(filters)) {
+    if (plan[field] !== value) return false;
+  }
+  return ranges.every(({ field, bound, value }) => {
+    const actual = SORT_FIELDS[field](plan);
+    if (actual === null || actual === undefined) return false;
+    return bound === 'min' ? actual >= value : actual <= value;
+  });
+}
+
+function comparePlans({ field, descending }) {
+  const read = SORT_FIELDS[field];
+  return (a, b) => {
+    const x = read(a);
+    const y = read(b);
+    const order = x < y ? -1 : x > y ? 1 : a.objectId.localeCompare(b.objectId);
+    return descending ? -order : order;
+  };
+}
+
+// Load the plans behind a batch of ids and keep the ones matching the query
+async function loadMatching(objectIds, query) {
+  const plans = await Promise.all(objectIds.map((objectId) => planStore.getPlan(objectId)));
+  return plans.filter((plan) => plan && matches(plan, query));
+}
+
+// Every stored plan id once, in order
+async function allPlanIds() {
+  const objectIds = [];
+  for await (const objectId of planStore.eachPlanId()) {
+    objectIds.push(objectId);
+  }
+  return objectIds.sort();
+}
+
+// Go through objectIds until `limit` plans match: the plans and how many ids it took
+async function takeMatching(objectIds, query) {
+  const plans = [];
+  let used = 0;
+  while (used < objectIds.length && plans.length < query.limit) {
+    plans.push(...await loadMatching([objectIds[used]], query));
+    used += 1;
+  }
+  return { plans, used };
+}
+
+// Position { from } starts a page at that id, { until } ends one right before it
+async function listById(query) {
+  const { from, until } = query.cursor || {};
+  const valid = (id) => id === undefined || typeof id === 'string';
+  if (!valid(from) || !valid(until) || (from !== undefined && until !== undefined)) {
+    throw new QueryError('Invalid cursor');
+  }
+  const objectIds = await allPlanIds();
+
+  if (until !== undefined) {
+    const earlier = objectIds.filter((objectId) => objectId < until).reverse();
+    const { plans, used } = await takeMatching(earlier, query);
+    return {
+      data: plans.reverse(),
+      next: objectIds.some((objectId) => objectId >= until) ? encodeCursor({ from: until }) : null,
+      prev: used < earlier.length ? encodeCursor({ until: earlier[used - 1] }) : null,
+    };
+  }
+
+  const later = from === undefined ? objectIds : objectIds.filter((objectId) => objectId >= from);
+  const { plans, used } = await takeMatching(later, query);
+  return {
+    data: plans,
+    next: used < later.length ? encodeCursor({ from: later[used] }) : null,
+    prev: later.length < objectIds.length ? encodeCursor({ until: from }) : null,
+  };
+}
+
+async function listSorted(query) {
+  const objectIds = await allPlanIds();
+  const plans = [];
+  for (let i = 0; i < objectIds.length; i += PAGE_SIZE) {
+    plans.push(...await loadMatching(objectIds.slice(i, i + PAGE_SIZE), query));
+  }
+
+  const offset = query.cursor ? query.cursor.offset : 0;
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new QueryError('Invalid cursor');
+  }
+
+  plans.sort(comparePlans(query.sort));
+  const end = offset + query.limit;
+  return {
+    data: plans.slice(offset, end),
+    total: plans.length,
+    next: end < plans.length ? encodeCursor({ offset: end }) : null,
+    prev: offset > 0 ? encodeCursor({ offset: Math.max(0, offset - query.limit) }) : null,
+  };
+}
+
+function listPlans(query) {
+  return query.sort ? listSorted(query) : listById(query);
+}
+
+module.exports = { parseListQuery, listPlans, parseDate, QueryError };
@@ -0,0 +1,244 @@
+const planStore = require('./storage');
+const planSchema = require('./schema');
+const { parseDate, QueryError } = require('./planQuery');
+
+// Aggregates across every stored plan for GET /reports/aggregate. Plans are
+// grouped by one or more schema.js fields and, with a numeric `metric`, each
+// group gets min/max/avg/sum and optionally a distribution over `buckets`:
+//
+//   ?groupBy=linkedPlanServices.linkedService.name&metric=linkedPlanServices.planserviceCostShares.copay
+//   ?groupBy=planType&metric=planCostShares.deductible&buckets=500,1000,2000
+//   ?groupBy=_org
+//   ?groupBy=linkedPlanServices.linkedService.name&sort=-plans&limit=5
+//
+// Fields under the same linkedPlanServices entry are read together, so the
+// first example pairs each service name with that service's own copay.
+// `count` is the number of rows (e.g. services) in a group, `plans` the number
+// of distinct plans they come from.
+
+const MAX_LIMIT = 1000;
+const SORT_KEYS = ['group', 'count', 'plans', 'min', 'max', 'avg', 'sum'];
+
+// Dotted path -> JSON type of every scalar field in schema.js
+function schemaFields(schema, prefix = '', fields = {}) {
+  if (schema.type === 'array') return schemaFields(schema.items, prefix, fields);
+  if (schema.type !== 'object') {
+    fields[prefix] = schema.type;
+    return fields;
+  }
+  for (const [name, property] of Object.entries(schema.properties)) {
+    schemaFields(property, prefix ? `${prefix}.${name}` : name, fields);
+  }
+  return fields;
+}
+
+const FIELDS = schemaFields(planSchema);
+
+function parseField(param, value) {
+  if (!FIELDS[value]) {
+    throw new QueryError(`${param} must be a field of the plan schema, e.g. planCostShares.copay`);
+  }
+  return value;
+}
+
+function parseNumberList(param, value) {
+  const numbers = String(value).split(',').map((part) => (part.trim() === '' ? NaN : Number(part)));
+  if (numbers.some(Number.isNaN)) {
+    throw new QueryError(`${param} must be a comma-separated list of numbers`);
+  }
+  if (numbers.some((number, index) => index > 0 && number <= numbers[index - 1])) {
+    throw new QueryError(`${param} must be in ascending order`);
+  }
+  return numbers;
+}
+
+// Turn req.query into { groupBy, metric, buckets, from, to, sort, limit }
+function parseReportQuery(query) {
+  if (query.groupBy === undefined) {
+    throw new QueryError('groupBy is required, e.g. groupBy=planType');
+  }
+  const groupBy = String(query.groupBy).split(',').map((field) => parseField('groupBy', field.trim()));
+
+  let metric = null;
+  if (query.metric !== undefined) {
+    metric = parseField('metric', String(query.metric));
+    if (FIELDS[metric] !== 'number') {
+      throw new QueryError('metric must be a numeric field, e.g. planCostShares.deductible');
+    }
+  }
+
+  let buckets = null;
+  if (query.buckets !== undefined) {
+    if (!metric) {
+      throw new QueryError('buckets needs a metric to distribute');
+    }
+    buckets = parseNumberList('buckets', query.buckets);
+  }
+
+  const dates = {};
+  for (const param of ['creationDateFrom', 'creationDateTo']) {
+    if (query[param] === undefined) continue;
+    dates[param] = parseDate(String(query[param]));
+    if (dates[param] === null) {
+      throw new QueryError(`${param} must be a date`);
+    }
+  }
+
+  let sort = { key: 'group', descending: false };
+  if (query.sort !== undefined) {
+    const raw = String(query.sort);
+    const key = raw.replace(/^-/, '');
+    if (!SORT_KEYS.includes(key) || (!metric && !['group', 'count', 'plans'].includes(key))) {
+      throw new QueryError(`sort must be one of ${metric ? SORT_KEYS.join(', ') : 'group, count, plans'}`);
+    }
+    sort = { key, descending: raw.startsWith('-') };
+  }
+
+  let limit = null;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new QueryError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  return { groupBy, metric, buckets, from: dates.creationDateFrom, to: dates.creationDateTo, sort, limit };
+}
+
+// One row per combination of the values at `paths`. Paths that go through the
+// same array are read from the same item, different branches are combined.
+function rowsOf(value, paths) {
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => rowsOf(item, paths));
+  }
+
+  const row = paths.map(() => undefined);
+  let rows = [row];
+  const branches = new Map();
+  paths.forEach((path, index) => {
+    if (path.length === 0) {
+      row[index] = value;
+      return;
+    }
+    const [property, ...rest] = path;
+    if (!branches.has(property)) branches.set(property, []);
+    branches.get(property).push({ index, rest });
+  });
+
+  for (const [property, branch] of branches) {
+    const child = value !== null && typeof value === 'object' ? value[property] : undefined;
+    const childRows = child === undefined ? [[]] : rowsOf(child, branch.map(({ rest }) => rest));
+    rows = rows.flatMap((partial) => childRows.map((childRow) => {
+      const combined = [...partial];
+      branch.forEach(({ index }, position) => { combined[index] = childRow[position]; });
+      return combined;
+    }));
+  }
+  return rows;
+}
+
+function inDateRange(plan, { from, to }) {
+  if (from === undefined && to === undefined) return true;
+  const created = parseDate(plan.creationDate);
+  if (created === null) return false;
+  return (from === undefined || created >= from) && (to === undefined || created <= to);
+}
+
+function bucketLabels(buckets) {
+  return [
+    `<${buckets[0]}`,
+    ...buckets.slice(1).map((bound, index) => `${buckets[index]}-${bound}`),
+    `>=${buckets[buckets.length - 1]}`,
+  ];
+}
+
+function bucketIndex(buckets, value) {
+  const above = buckets.findIndex((bound) => value < bound);
+  return above === -1 ? buckets.length : above;
+}
+
+function newGroup(query, values) {
+  const group = {
+    group: Object.fromEntries(query.groupBy.map((field, index) => [field, values[index] === undefined ? null : values[index]])),
+    count: 0,
+    planIds: new Set(),
+  };
+  if (query.metric) {
+    group.metric = { min: null, max: null, avg: null, sum: 0, values: 0 };
+  }
+  if (query.buckets) {
+    group.distribution = bucketLabels(query.buckets).map((range) => ({ range, count: 0 }));
+  }
+  return group;
+}
+
+function addRow(group, query, planId, value) {
+  group.count += 1;
+  group.planIds.add(planId);
+  if (!query.metric || typeof value !== 'number') return;
+
+  const { metric } = group;
+  metric.min = metric.min === null ? value : Math.min(metric.min, value);
+  metric.max = metric.max === null ? value : Math.max(metric.max, value);
+  metric.sum += value;
+  metric.values += 1;
+  if (query.buckets) {
+    group.distribution[bucketIndex(query.buckets, value)].count += 1;
+  }
+}
+
+function finish(group) {
+  const result = { group: group.group, count: group.count, plans: group.planIds.size };
+  if (group.metric) {
+    const { values, ...stats } = group.metric;
+    result.metric = { ...stats, avg: values > 0 ? stats.sum / values : null };
+  }
+  if (group.distribution) {
+    result.distribution = group.distribution;
+  }
+  return result;
+}
+
+function sortValue(group, key) {
+  if (key === 'group') return JSON.stringify(Object.values(group.group));
+  if (key === 'count' || key === 'plans') return group[key];
+  return group.metric[key];
+}
+
+function compareGroups({ key, descending }) {
+  return (a, b) => {
+    const x = sortValue(a, key);
+    const y = sortValue(b, key);
+    // Groups without a value (e.g. no metric values) always come last
+    if (x === null || y === null) return x === y ? 0 : x === null ? 1 : -1;
+    const order = x < y ? -1 : x > y ? 1 : 0;
+    return descending ? -order : order;
+  };
+}
+
+async function aggregatePlans(query) {
+  const paths = [...query.groupBy, ...(query.metric ? [query.metric] : [])].map((field) => field.split('.'));
+  const groups = new Map();
+  let planCount = 0;
+
+  for await (const plan of planStore.eachPlan()) {
+    if (!inDateRange(plan, query)) continue;
+    planCount += 1;
+
+    for (const row of rowsOf(plan, paths)) {
+      const values = row.slice(0, query.groupBy.length);
+      const key = JSON.stringify(values);
+      if (!groups.has(key)) groups.set(key, newGroup(query, values));
+      addRow(groups.get(key), query, plan.objectId, row[query.groupBy.length]);
+    }
+  }
+
+  const data = [...groups.values()].map(finish).sort(compareGroups(query.sort));
+  return {
+    data: query.limit ? data.slice(0, query.limit) : data,
+    groups: data.length,
+    plans: planCount,
+  };
+}
+
+module.exports = { parseReportQuery, aggregatePlans };
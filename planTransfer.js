@@ -0,0 +1,73 @@
+const { StringDecoder } = require('string_decoder');
+const planStore = require('./storage');
+
+// Bulk export and import of plans as NDJSON (one plan per line), for moving
+// plans between environments. Both directions stream: the export walks the
+// store SCAN by SCAN and the import reads the request body chunk by chunk, so
+// neither holds more than a page of plans in memory.
+
+const NDJSON_TYPE = 'application/x-ndjson';
+// Longest line the import accepts; a longer one is reported and skipped
+const MAX_LINE_BYTES = Number(process.env.IMPORT_LINE_LIMIT || 1024 * 1024);
+// What to do with a plan that already exists
+const CONFLICT_POLICIES = ['skip', 'overwrite', 'fail'];
+
+class TransferError extends Error {}
+
+// Every stored plan as one NDJSON line
+async function* exportLines() {
+  for await (const plan of planStore.eachPlan()) {
+    yield `${JSON.stringify(plan)}\n`;
+  }
+}
+
+// ?onConflict=skip|overwrite|fail (default fail)
+function parseImportQuery(query) {
+  const onConflict = query.onConflict || 'fail';
+  if (!CONFLICT_POLICIES.includes(onConflict)) {
+    throw new TransferError(`onConflict must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+  }
+  return { onConflict };
+}
+
+// The lines of an NDJSON stream as { line, text }, numbered from 1. Blank
+// lines are left out; lines over MAX_LINE_BYTES come as { line, tooLong: true }.
+async function* readLines(stream) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let line = 0;
+  let skipping = false; // inside a line that was too long
+
+  function* take(text) {
+    line += 1;
+    if (skipping || Buffer.byteLength(text) > MAX_LINE_BYTES) {
+      skipping = false;
+      yield { line, tooLong: true };
+    } else if (text.trim() !== '') {
+      yield { line, text };
+    }
+  }
+
+  for await (const chunk of stream) {
+    buffer += decoder.write(chunk);
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      yield* take(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+    }
+    if (Buffer.byteLength(buffer) > MAX_LINE_BYTES) {
+      skipping = true;
+      buffer = '';
+    }
+  }
+  buffer += decoder.end();
+  if (buffer !== '' || skipping) yield* take(buffer);
+}
+
+module.exports = {
+  NDJSON_TYPE,
+  TransferError,
+  exportLines,
+  parseImportQuery,
+  readLines,
+};
@@ -1,21 +1,239 @@
+const fs = require('fs');
 const redis = require('redis');
+const { backoff, retry } = require('./retry');
 
-const client = redis.createClient({
-    password: 'Z7V0AnTjFOJJzbEeaaBNwhRcQBUxDxBb',
-    socket: {
-        host: 'redis-19403.c15.us-east-1-4.ec2.redns.redis-cloud.com',
-        port: 19403
+// Connection settings come from the environment (index.js loads .env first):
+//
+//   REDIS_URL                       redis[s]://[user[:password]@]host[:port][/db]
+//   REDIS_HOST, REDIS_PORT          used when REDIS_URL is not set (localhost:6379)
+//   REDIS_USERNAME, REDIS_PASSWORD  ACL user
+//   REDIS_DB                        database index
+//   REDIS_TLS=true                  connect over TLS, with optional
+//   REDIS_TLS_CA, REDIS_TLS_CERT, REDIS_TLS_KEY   PEM file paths
+//   REDIS_TLS_REJECT_UNAUTHORIZED=false           accept self-signed certificates
+//   REDIS_SENTINELS=host:port,...   ask these Sentinels for the master of
+//   REDIS_SENTINEL_MASTER           (default "mymaster"), authenticating with
+//   REDIS_SENTINEL_USERNAME, REDIS_SENTINEL_PASSWORD; asked again whenever
+//                                   the connection drops, to follow a failover
+//   REDIS_CONNECT_RETRIES           attempts before startup gives up (default 10)
+//
+// Redis Cluster is not supported: plan writes WATCH and MULTI the objects of a
+// plan, which a cluster spreads over hash slots. Setting REDIS_CLUSTER_NODES
+// makes startup fail.
+//
+// Search indexing, the change feed, webhooks and idempotency keys live in Redis
+// too. Each has a flag (SEARCH_INDEXING, CHANGE_FEED, WEBHOOKS, IDEMPOTENCY);
+// left unset, a feature is on when the plans are stored in Redis or one of the
+// settings above points at a Redis server, and off otherwise, so the memory and
+// mongo backends run without Redis unless it is asked for.
+
+const env = process.env;
+const MAX_RETRIES = Number(env.REDIS_CONNECT_RETRIES || 10);
+
+const CONNECTION_SETTINGS = ['REDIS_URL', 'REDIS_HOST', 'REDIS_PORT', 'REDIS_SENTINELS', 'REDIS_CLUSTER_NODES'];
+
+let client = null;
+let master = null; // { host, port } the client is connected to, with Sentinel
+
+function splitHosts(list) {
+  return list.split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+    const [host, port] = entry.split(':');
+    return { host, port: Number(port || 6379) };
+  });
+}
+
+function tlsOptions() {
+  if (env.REDIS_TLS !== 'true' && !(env.REDIS_URL || '').startsWith('rediss:')) {
+    return {};
+  }
+  const read = (path) => (path ? fs.readFileSync(path) : undefined);
+  return {
+    tls: true,
+    ca: read(env.REDIS_TLS_CA),
+    cert: read(env.REDIS_TLS_CERT),
+    key: read(env.REDIS_TLS_KEY),
+    rejectUnauthorized: env.REDIS_TLS_REJECT_UNAUTHORIZED !== 'false',
+  };
+}
+
+function authOptions() {
+  const options = {};
+  if (env.REDIS_USERNAME) options.username = env.REDIS_USERNAME;
+  if (env.REDIS_PASSWORD) options.password = env.REDIS_PASSWORD;
+  return options;
+}
+
+// Give up after MAX_RETRIES while starting up; once connected, keep retrying
+function reconnectStrategy(isReady) {
+  return (retries, cause) => {
+    if (!isReady() && retries >= MAX_RETRIES) {
+      return new Error(`Could not connect to Redis after ${retries} attempts: ${cause.message}`);
     }
-});
+    return backoff(retries);
+  };
+}
+
+// Ask each Sentinel in turn for the current master address
+async function askSentinels() {
+  const sentinels = splitHosts(env.REDIS_SENTINELS);
+  const masterName = env.REDIS_SENTINEL_MASTER || 'mymaster';
+
+  for (const sentinel of sentinels) {
+    const sentinelClient = redis.createClient({
+      username: env.REDIS_SENTINEL_USERNAME,
+      password: env.REDIS_SENTINEL_PASSWORD,
+      socket: { ...sentinel, ...tlsOptions(), reconnectStrategy: false },
+    });
+    sentinelClient.on('error', () => {}); // failures are handled below
+    try {
+      await sentinelClient.connect();
+      const address = await sentinelClient.sendCommand(['SENTINEL', 'get-master-addr-by-name', masterName]);
+      if (address) {
+        return { host: address[0], port: Number(address[1]) };
+      }
+    } catch (err) {
+      console.error(`Sentinel ${sentinel.host}:${sentinel.port} unavailable:`, err.message);
+    } finally {
+      if (sentinelClient.isOpen) await sentinelClient.disconnect();
+    }
+  }
+  throw new Error(`No Sentinel knows a master named "${masterName}"`);
+}
+
+// askSentinels(), going round them up to `rounds` times
+function discoverMaster(rounds) {
+  return retry(askSentinels, rounds);
+}
+
+// `address` is the master Sentinel named, if Sentinel is used
+function createStandaloneClient(isReady, address) {
+  const socket = { ...tlsOptions(), reconnectStrategy: reconnectStrategy(isReady) };
+  const options = { ...authOptions(), socket };
+
+  if (address) {
+    Object.assign(socket, address);
+  } else if (env.REDIS_URL) {
+    options.url = env.REDIS_URL;
+  } else {
+    socket.host = env.REDIS_HOST || 'localhost';
+    socket.port = Number(env.REDIS_PORT || 6379);
+  }
+  if (env.REDIS_DB) {
+    options.database = Number(env.REDIS_DB);
+  }
+  return redis.createClient(options);
+}
 
-client.on('connect', () => {
-    console.log('Connected to Redis Cloud');
-});
+function isRedisConfigured() {
+  return (env.STORAGE_BACKEND || 'redis') === 'redis' || CONNECTION_SETTINGS.some((name) => env[name]);
+}
 
-client.on('error', (err) => {
+// Whether the Redis-backed feature behind `flag` is on: "false" turns it off,
+// any other value on, and unset follows isRedisConfigured()
+function featureEnabled(flag) {
+  return env[flag] === undefined ? isRedisConfigured() : env[flag] !== 'false';
+}
+
+// Connect once and resolve when Redis is ready for commands. Concurrent
+// callers share the same connection attempt.
+let connecting = null;
+
+function connectRedis() {
+  if (!connecting) {
+    connecting = openClient().catch((err) => {
+      connecting = null;
+      throw err;
+    });
+  }
+  return connecting;
+}
+
+// A client connected and ready for commands. With Sentinel (`address` is the
+// master) it follows the master around, see followMaster().
+async function startClient(address) {
+  let ready = false;
+  const newClient = createStandaloneClient(() => ready, address);
+
+  newClient.on('error', (err) => {
     console.error('Redis Client Error', err);
-});
+  });
+  if (address) {
+    newClient.on('reconnecting', () => followMaster(newClient));
+  }
+
+  await newClient.connect();
+  ready = true;
+  return newClient;
+}
+
+async function openClient() {
+  if (env.REDIS_CLUSTER_NODES) {
+    throw new Error('Redis Cluster is not supported (REDIS_CLUSTER_NODES is set); use a single node or Sentinel');
+  }
+  const address = env.REDIS_SENTINELS ? await discoverMaster(MAX_RETRIES) : null;
+  client = await startClient(address);
+  master = address;
+  console.log('Connected to Redis');
+  return client;
+}
+
+// A failover drops the connection to the old master: it is down, or Sentinel
+// closes its clients when turning it into a replica. So every time the client
+// reconnects Sentinel is asked again, and once it names another master the
+// client is replaced by one connected to that. Connections made from the old
+// one with duplicate() stay where they are; their users open them again when
+// they fail.
+let following = null;
+
+function followMaster(oldClient) {
+  if (following || client !== oldClient) return;
+  following = (async () => {
+    const address = await discoverMaster(1);
+    if (address.host === master.host && address.port === master.port) return;
+
+    console.log(`Redis master moved to ${address.host}:${address.port}`);
+    const newClient = await startClient(address);
+    if (client !== oldClient) {
+      // Closed in the meantime
+      await newClient.quit();
+      return;
+    }
+    client = newClient;
+    master = address;
+    await oldClient.disconnect();
+  })()
+    .catch((err) => console.error('Error following the Redis master through Sentinel:', err.message))
+    .finally(() => {
+      following = null;
+    });
+}
+
+function getRedisClient() {
+  if (!client) {
+    throw new Error('Redis is not connected yet, call connectRedis() first');
+  }
+  return client;
+}
+
+// MULTI for the current connection
+function transaction() {
+  return getRedisClient().multi();
+}
+
+// Run `fn` with a connection of its own (from the client's isolation pool), so
+// a WATCH it issues only covers its own commands
+function isolated(fn) {
+  return getRedisClient().executeIsolated(fn);
+}
 
-client.connect();
+async function closeRedis() {
+  if (!client) return;
+  const closing = client;
+  client = null;
+  connecting = null;
+  await closing.quit();
+}
 
-module.exports = client;
+module.exports = {
+  connectRedis, getRedisClient, transaction, isolated, closeRedis, featureEnabled,
+};
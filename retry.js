@@ -0,0 +1,22 @@
+// Retrying with exponential backoff, for connecting to Redis, Sentinel and
+// MongoDB while they start up or fail over.
+
+// Capped at 5s: 100ms, 200ms, 400ms...
+function backoff(retries) {
+  return Math.min(2 ** retries * 100, 5000);
+}
+
+// Call `attempt` until it resolves, waiting backoff() in between. After
+// `attempts` failures the last error is thrown.
+async function retry(attempt, attempts) {
+  for (let retries = 0; ; retries += 1) {
+    try {
+      return await attempt();
+    } catch (err) {
+      if (retries + 1 >= attempts) throw err;
+      await new Promise((resolve) => setTimeout(resolve, backoff(retries)));
+    }
+  }
+}
+
+module.exports = { backoff, retry };
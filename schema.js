@@ -1,3 +1,12 @@
+// objectType of a nested object. It becomes the first part of the object's
+// storage key (`${objectType}:${objectId}`), so it cannot contain ":" or start
+// a key prefix the storage uses for anything else
+const nestedObjectType = {
+    type: "string",
+    pattern: "^[^:{]+$",
+    not: { enum: ["plan", "catalog", "trash", "search", "idempotency"] }
+  };
+
 const planSchema = {
     type: "object",
     properties: {
@@ -8,7 +17,7 @@ const planSchema = {
           _org: { type: "string" },
           copay: { type: "number" },
           objectId: { type: "string" },
-          objectType: { type: "string" }
+          objectType: nestedObjectType
         },
         required: ["deductible", "_org", "copay", "objectId", "objectType"],
         "additionalProperties": false
@@ -23,7 +32,7 @@ const planSchema = {
               properties: {
                 _org: { type: "string" },
                 objectId: { type: "string" },
-                objectType: { type: "string" },
+                objectType: nestedObjectType,
                 name: { type: "string" }
               },
               required: ["_org", "objectId", "objectType", "name"],
@@ -36,14 +45,14 @@ const planSchema = {
                 _org: { type: "string" },
                 copay: { type: "number" },
                 objectId: { type: "string" },
-                objectType: { type: "string" }
+                objectType: nestedObjectType
               },
               required: ["deductible", "_org", "copay", "objectId", "objectType"],
               "additionalProperties": false
             },
             _org: { type: "string" },
             objectId: { type: "string" },
-            objectType: { type: "string" }
+            objectType: nestedObjectType
           },
           required: ["linkedService", "planserviceCostShares", "_org", "objectId", "objectType"],
           "additionalProperties": false
@@ -0,0 +1,180 @@
+const { WatchError } = require('redis');
+const { getRedisClient, isolated } = require('./redisConnection');
+const { isNode } = require('./storage/keys');
+
+// Search index kept in Redis by the indexing worker (worker.js). Every plan is
+// indexed as one document per object - the plan itself and each nested object
+// carrying objectId/objectType - so children can be matched on their own and
+// still be traced back to their parent and their plan.
+//
+//   search:doc:<planId>:<n>               JSON document (below)
+//   search:plan:<planId>                  set of the document ids of one plan
+//   search:path:<path>                    set of the document ids found at one path
+//   search:value:<path>:<field>:<value>   set of the document ids at a path whose
+//                                         field has that value (as a string)
+//   search:number:<path>:<field>          sorted set of the document ids at a path
+//                                         by a numeric field
+//
+// The value and number sets let a search narrow down the plans to look at
+// without reading documents (see searchQuery.js). Indexes written before they
+// existed need a `node worker.js reindex`.
+//
+// A document is { id, planId, parentId, path, objectType, objectId, fields }.
+// `path` is where the object sits in its plan without array positions
+// (e.g. "linkedPlanServices.linkedService", "" for the plan itself),
+// `parentId` the document id of the object holding it, and `fields` its
+// scalar properties; nested objects are documents of their own.
+//
+// Several workers may handle events of the same plan at once. Each one watches
+// search:plan:<planId> before reading the plan from the store, so the one that
+// read an older plan fails on EXEC when another indexes the plan first, and
+// reads it again: what ends up indexed is the plan read last.
+
+// Attempts before a worker gives up on a plan that keeps being reindexed; the
+// event is then retried through the queue
+const SYNC_ATTEMPTS = 5;
+
+// Documents are numbered per plan: the same object can sit under two parents
+function docId(planId, index) {
+  return `search:doc:${planId}:${index}`;
+}
+
+function planDocsKey(planId) {
+  return `search:plan:${planId}`;
+}
+
+function pathDocsKey(path) {
+  return `search:path:${path || '.'}`;
+}
+
+function valueDocsKey(path, field, value) {
+  return `search:value:${path || '.'}:${field}:${String(value)}`;
+}
+
+function numberDocsKey(path, field) {
+  return `search:number:${path || '.'}:${field}`;
+}
+
+// The plan a document id belongs to
+function planIdOf(id) {
+  return id.slice('search:doc:'.length, id.lastIndexOf(':'));
+}
+
+function planDocuments(plan) {
+  const docs = [];
+  const visit = (object, path, parentId) => {
+    const doc = {
+      id: docId(plan.objectId, docs.length),
+      planId: plan.objectId,
+      parentId,
+      path,
+      objectType: object.objectType,
+      objectId: object.objectId,
+      fields: {},
+    };
+    docs.push(doc);
+
+    for (const [field, value] of Object.entries(object)) {
+      const children = (Array.isArray(value) ? value : [value]).filter(isNode);
+      if (children.length === 0) {
+        doc.fields[field] = value;
+      }
+      children.forEach((child) => visit(child, path ? `${path}.${field}` : field, doc.id));
+    }
+  };
+  visit(plan, '', null);
+  return docs;
+}
+
+// Queue the removal of everything indexed for a plan onto `multi`
+async function queueRemoval(multi, planId) {
+  const docs = await getPlanDocuments(planId);
+  for (const doc of docs) {
+    multi.sRem(pathDocsKey(doc.path), doc.id);
+    for (const [field, value] of Object.entries(doc.fields)) {
+      multi.sRem(valueDocsKey(doc.path, field, value), doc.id);
+      if (typeof value === 'number') multi.zRem(numberDocsKey(doc.path, field), doc.id);
+    }
+    multi.del(doc.id);
+  }
+  multi.del(planDocsKey(planId));
+}
+
+function queueIndex(multi, plan) {
+  for (const doc of planDocuments(plan)) {
+    multi.set(doc.id, JSON.stringify(doc));
+    multi.sAdd(planDocsKey(plan.objectId), doc.id);
+    multi.sAdd(pathDocsKey(doc.path), doc.id);
+    for (const [field, value] of Object.entries(doc.fields)) {
+      multi.sAdd(valueDocsKey(doc.path, field, value), doc.id);
+      if (typeof value === 'number') multi.zAdd(numberDocsKey(doc.path, field), { score: value, value: doc.id });
+    }
+  }
+}
+
+// Replace whatever is indexed for a plan with the plan `load()` resolves to,
+// or remove it if that is null. `load` reads the plan from the store and is
+// called again whenever another worker indexed the plan in the meantime.
+async function syncPlan(planId, load) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await isolated(async (client) => {
+        await client.watch(planDocsKey(planId));
+        const plan = await load();
+        const multi = client.multi();
+        await queueRemoval(multi, planId);
+        if (plan) queueIndex(multi, plan);
+        await multi.exec();
+      });
+    } catch (err) {
+      if (!(err instanceof WatchError) || attempt === SYNC_ATTEMPTS) throw err;
+    }
+  }
+}
+
+async function getDocuments(ids) {
+  const docs = await Promise.all(ids.map((id) => getRedisClient().get(id)));
+  return docs.filter(Boolean).map((raw) => JSON.parse(raw));
+}
+
+async function getPlanDocuments(planId) {
+  return getDocuments(await getRedisClient().sMembers(planDocsKey(planId)));
+}
+
+function planIdsOf(ids) {
+  return [...new Set(ids.map(planIdOf))];
+}
+
+// Ids of the plans that have at least one document at `path`
+async function getPlanIdsAtPath(path) {
+  return planIdsOf(await getRedisClient().sMembers(pathDocsKey(path)));
+}
+
+// Score ranges of the numeric operators
+const RANGES = {
+  lt: (value) => ['-inf', `(${value}`],
+  lte: (value) => ['-inf', value],
+  gt: (value) => [`(${value}`, '+inf'],
+  gte: (value) => [value, '+inf'],
+};
+
+// Ids of the plans with a document at `path` whose `field` is equal to (eq)
+// `value`, or a number compared to it (lt, lte, gt, gte). Null for operators
+// the index cannot answer.
+async function getPlanIdsMatching(path, field, op, value) {
+  if (op === 'eq') {
+    return planIdsOf(await getRedisClient().sMembers(valueDocsKey(path, field, value)));
+  }
+  if (RANGES[op]) {
+    const [min, max] = RANGES[op](value);
+    return planIdsOf(await getRedisClient().zRangeByScore(numberDocsKey(path, field), min, max));
+  }
+  return null;
+}
+
+module.exports = {
+  syncPlan,
+  getPlanDocuments,
+  getPlanIdsAtPath,
+  getPlanIdsMatching,
+};
@@ -0,0 +1,196 @@
+const planStore = require('./storage');
+const searchIndex = require('./searchIndex');
+
+// GET /search over the documents kept by searchIndex.js. Conditions are query
+// parameters named after the field's path in the plan, with an optional
+// operator in brackets:
+//
+//   linkedPlanServices.linkedService.name=Yearly physical
+//   linkedPlanServices.planserviceCostShares.copay[lt]=20
+//   planCostShares.deductible[gt]=1000
+//
+// Conditions that go through the same array have to hold for the same item,
+// so the two first lines above only match a plan where one linked service is
+// named "Yearly physical" and has a copay below 20.
+//
+// `return=plan` (the default) answers with the matching plans; `return=<path>`
+// (e.g. return=linkedPlanServices.planserviceCostShares) with the matching
+// objects at that path, each with the id of its plan and parent.
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+const RESERVED = ['return', 'limit', 'offset'];
+
+class SearchError extends Error {}
+
+const OPERATORS = {
+  eq: (field, value) => String(field) === value,
+  ne: (field, value) => String(field) !== value,
+  lt: (field, value) => typeof field === 'number' && field < value,
+  lte: (field, value) => typeof field === 'number' && field <= value,
+  gt: (field, value) => typeof field === 'number' && field > value,
+  gte: (field, value) => typeof field === 'number' && field >= value,
+  contains: (field, value) => String(field).toLowerCase().includes(value.toLowerCase()),
+};
+
+const NUMERIC = ['lt', 'lte', 'gt', 'gte'];
+
+function parseInteger(name, value, min, max) {
+  const number = Number(value);
+  if (value === '' || !Number.isInteger(number) || number < min || number > max) {
+    throw new SearchError(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function parseCondition(name, op, value) {
+  if (!OPERATORS[op]) {
+    throw new SearchError(`Unknown operator "${op}" for ${name}, expected one of: ${Object.keys(OPERATORS).join(', ')}`);
+  }
+  if (typeof value !== 'string') {
+    throw new SearchError(`${name} must be given once per operator`);
+  }
+  if (NUMERIC.includes(op) && (value === '' || Number.isNaN(Number(value)))) {
+    throw new SearchError(`${name}[${op}] must be a number`);
+  }
+
+  const segments = name.split('.');
+  if (segments.some((segment) => segment === '')) {
+    throw new SearchError(`Invalid field path "${name}"`);
+  }
+  return {
+    path: segments.slice(0, -1),
+    field: segments[segments.length - 1],
+    op,
+    value: NUMERIC.includes(op) ? Number(value) : value,
+  };
+}
+
+// Turn req.query into { conditions, returnPath, limit, offset }
+function parseSearchQuery(query) {
+  const conditions = [];
+  for (const [name, value] of Object.entries(query)) {
+    if (RESERVED.includes(name)) continue;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([op, operand]) => conditions.push(parseCondition(name, op, operand)));
+    } else {
+      conditions.push(parseCondition(name, 'eq', value));
+    }
+  }
+  if (conditions.length === 0) {
+    throw new SearchError('At least one condition is required, e.g. planCostShares.deductible[gt]=1000');
+  }
+
+  const returnParam = query.return === undefined ? 'plan' : query.return;
+  if (typeof returnParam !== 'string' || returnParam.split('.').some((segment) => segment === '')) {
+    throw new SearchError('return must be "plan" or the path of nested objects');
+  }
+
+  return {
+    conditions,
+    returnPath: returnParam === 'plan' ? [] : returnParam.split('.'),
+    limit: query.limit === undefined ? DEFAULT_LIMIT : parseInteger('limit', query.limit, 1, MAX_LIMIT),
+    offset: query.offset === undefined ? 0 : parseInteger('offset', query.offset, 0, Number.MAX_SAFE_INTEGER),
+  };
+}
+
+// --- Matching --------------------------------------------------------------
+
+function childrenOf(docs, doc, property) {
+  const path = doc.path ? `${doc.path}.${property}` : property;
+  return docs.filter((child) => child.parentId === doc.id && child.path === path);
+}
+
+// Do `conditions` (paths relative to `doc`) hold at `doc`? Conditions going
+// into the same property must all hold for one child. Documents in `pinned`
+// are the only candidates wherever they appear, which ties a returned child
+// to the conditions on its ancestors.
+function matchesAt(docs, doc, conditions, pinned) {
+  const own = conditions.filter((condition) => condition.path.length === 0);
+  const ownMatch = own.every(({ field, op, value }) => (
+    doc.fields[field] !== undefined && OPERATORS[op](doc.fields[field], value)
+  ));
+  if (!ownMatch) return false;
+
+  const byProperty = new Map();
+  for (const condition of conditions) {
+    if (condition.path.length === 0) continue;
+    const [property, ...rest] = condition.path;
+    if (!byProperty.has(property)) byProperty.set(property, []);
+    byProperty.get(property).push({ ...condition, path: rest });
+  }
+
+  return [...byProperty].every(([property, nested]) => {
+    const children = childrenOf(docs, doc, property);
+    const pinnedChild = children.find((child) => pinned.has(child.id));
+    const candidates = pinnedChild ? [pinnedChild] : children;
+    return candidates.some((child) => matchesAt(docs, child, nested, pinned));
+  });
+}
+
+function ancestry(docsById, doc) {
+  const ids = new Set();
+  for (let current = doc; current; current = docsById.get(current.parentId)) {
+    ids.add(current.id);
+  }
+  return ids;
+}
+
+// Matching documents of one plan at the return path
+function matchPlan(docs, query) {
+  const root = docs.find((doc) => doc.parentId === null);
+  if (!root) return [];
+
+  const docsById = new Map(docs.map((doc) => [doc.id, doc]));
+  const returnPath = query.returnPath.join('.');
+  return docs
+    .filter((doc) => doc.path === returnPath)
+    .filter((doc) => matchesAt(docs, root, query.conditions, ancestry(docsById, doc)))
+    .map((doc) => ({ doc, parent: docsById.get(doc.parentId) }));
+}
+
+// Plans that have something at every path the query looks at and, for each
+// condition the index can answer on its own (see getPlanIdsMatching), a
+// document matching it. Only the documents of these plans are read.
+async function candidatePlanIds(query) {
+  const paths = new Set([query.returnPath, ...query.conditions.map((condition) => condition.path)]
+    .map((path) => path.join('.')));
+  const sets = await Promise.all([
+    ...[...paths].map((path) => searchIndex.getPlanIdsAtPath(path)),
+    ...query.conditions.map(({ path, field, op, value }) => (
+      searchIndex.getPlanIdsMatching(path.join('.'), field, op, value)
+    )),
+  ]);
+  const [first, ...rest] = sets.filter(Boolean).map((ids) => new Set(ids));
+  return [...first].filter((id) => rest.every((ids) => ids.has(id))).sort();
+}
+
+async function search(query) {
+  const matches = [];
+  for (const planId of await candidatePlanIds(query)) {
+    matches.push(...matchPlan(await searchIndex.getPlanDocuments(planId), query));
+  }
+
+  const page = matches.slice(query.offset, query.offset + query.limit);
+  let data;
+  if (query.returnPath.length === 0) {
+    // The index may trail the store by a moment; plans gone since are skipped
+    const plans = await Promise.all(page.map(({ doc }) => planStore.getPlan(doc.planId)));
+    data = plans.filter(Boolean);
+  } else {
+    data = page.map(({ doc, parent }) => ({
+      planId: doc.planId,
+      parent: { objectType: parent.objectType, objectId: parent.objectId },
+      path: doc.path,
+      data: doc.fields,
+    }));
+  }
+
+  return { data, count: data.length, total: matches.length };
+}
+
+module.exports = {
+  parseSearchQuery,
+  search,
+  SearchError,
+};
@@ -0,0 +1,59 @@
+// Thrown by a conditional write (savePlan, deletePlan, saveService with an
+// `expect` check) when the stored object is not in the expected state, or was
+// changed by another writer while the write was in progress. Nothing has been
+// written when it is thrown.
+class PreconditionFailedError extends Error {
+  constructor(message = 'Stored object changed concurrently') {
+    super(message);
+    this.name = 'PreconditionFailedError';
+  }
+}
+
+// Base class of the conflicts a plan write runs into when it embeds a copy of
+// an object that differs from the copy stored for it elsewhere. Nothing has
+// been written when one is thrown.
+class ObjectConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ObjectConflictError';
+  }
+}
+
+// Thrown by a plan write that embeds a linked service differing from its
+// catalog copy. A plan write may add a service the catalog does not have yet,
+// but changing one is up to the catalog (saveService), which checks its own
+// preconditions.
+class ServiceConflictError extends ObjectConflictError {
+  constructor(objectId) {
+    super(`Linked service ${objectId} differs from the catalog copy`);
+    this.name = 'ServiceConflictError';
+    this.objectId = objectId;
+  }
+}
+
+// Thrown by a plan write that embeds an object other plans link too, with a
+// copy that differs from theirs: saving it would change those plans as well.
+// `key` is the object's key and `plans` are the ids of the other plans.
+class SharedObjectConflictError extends ObjectConflictError {
+  constructor(key, plans) {
+    super(`Object ${key} is shared with other plans and differs from their copy`);
+    this.name = 'SharedObjectConflictError';
+    this.key = key;
+    this.plans = plans;
+  }
+}
+
+// Thrown by deleteService while plans still link the service; `plans` are
+// their ids. Nothing has been deleted when it is thrown.
+class ServiceInUseError extends Error {
+  constructor(objectId, plans) {
+    super(`Service ${objectId} is still linked by plans`);
+    this.name = 'ServiceInUseError';
+    this.objectId = objectId;
+    this.plans = plans;
+  }
+}
+
+module.exports = {
+  PreconditionFailedError, ObjectConflictError, ServiceConflictError, SharedObjectConflictError, ServiceInUseError,
+};
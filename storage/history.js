@@ -0,0 +1,25 @@
+// Version history shared by the storage backends. Every write appends an entry;
+// versions are numbered from 1 in the order they were written. A delete is
+// recorded as an entry without a plan, so reads as of a later time find nothing.
+
+// `change` is { user, operation, etag } as passed to savePlan/deletePlan
+function versionEntry(plan, change = {}) {
+  return {
+    timestamp: new Date().toISOString(),
+    user: change.user || null,
+    operation: change.operation || null,
+    etag: change.etag || null,
+    plan,
+  };
+}
+
+// What the trash keeps of a deleted plan until it is restored or purged
+function trashEntry(plan, change = {}) {
+  return {
+    plan,
+    deletedAt: new Date().toISOString(),
+    deletedBy: change.user || null,
+  };
+}
+
+module.exports = { versionEntry, trashEntry };
@@ -0,0 +1,118 @@
+// Plan repository. The backend is picked with STORAGE_BACKEND:
+//   redis  - plans split into a graph of Redis hashes (default)
+//   memory - in-process Map, for tests and local development
+//   mongo  - whole documents in MongoDB through mongoose (MONGODB_URI)
+//
+// Every backend exposes the same async interface:
+//   connect()                         -> resolves once the backend can serve requests
+//   planExists(objectId)              -> boolean
+//   getPlan(objectId)                 -> plan or null
+//   getObject(objectType, objectId)   -> nested object or null
+//   getParents(objectType, objectId)  -> keys of the objects linking to it
+//   scanPlans(cursor, count)          -> { cursor, objectIds }, start at 0, cursor 0 when done;
+//                                        like SCAN, an id may come up more than once
+//   savePlan(plan, change, expect)    -> create or replace, returns the plan
+//   deletePlan(objectId, change, expect) -> false if the plan did not exist; objects
+//                                        other plans still link are kept, the plan
+//                                        itself goes to the trash
+//   applyBatch(writes)                -> saves { plan, change, expect } and deletes
+//                                        { objectId, change, expect } all at once;
+//                                        if any check fails nothing is written
+//   getVersions(objectId)             -> history entries, oldest first
+//   getVersion(objectId, version)     -> one history entry or null
+//   getLatestVersion(objectId)        -> newest history entry or null
+//   getDeletedPlan(objectId)          -> trash entry or null
+//   listDeletedPlans()                -> { objectId, deletedAt, deletedBy } per trashed plan, oldest first
+//   restorePlan(plan, change)         -> false if not in the trash; stores `plan` and
+//                                        takes it out of the trash
+//   purgeDeletedPlans(before)         -> ids of the trashed plans deleted before
+//                                        `before` (epoch ms), now removed for good
+//   getService(objectId)              -> catalog service or null
+//   listServices()                    -> every catalog service, by objectId
+//   saveService(service, expect)      -> create or replace, returns the service
+//   deleteService(objectId, expect)   -> false if the service did not exist; throws a
+//                                        ServiceInUseError (./errors) while plans link it,
+//                                        checked atomically with the delete
+//   getServicePlans(objectId)         -> ids of the plans linking the service
+//   sweepOrphans({ purge })           -> { orphans, parentSets, staleLinks, purged }
+//   close()
+//
+// On top of scanPlans this module adds, for every backend:
+//   eachPlanId()                      -> async iterator over the stored plan ids, each once
+//   eachPlan()                        -> async iterator over the stored plans, each once
+//
+// `change` is { user, operation, etag }; every save and delete appends it to
+// the plan history as { version, timestamp, user, operation, etag, plan }.
+//
+// `expect` is optional and makes a write (or delete) an atomic compare-and-set: it is
+// called with the object as currently stored (null if there is none) and the
+// write only happens if it returns true and nobody else wrote in between.
+// Otherwise a PreconditionFailedError (./errors) is thrown and nothing changes.
+//
+// A deleted plan is kept in the trash as { plan, deletedAt, deletedBy } and is
+// not returned by getPlan, scanPlans or getObject. restorePlan fails with a
+// PreconditionFailedError if a plan with the same objectId was created since.
+// Purging drops the trash entry and, unless the objectId is in use again, the
+// plan history.
+//
+// Services are shared through the catalog: saving a plan adds its linked
+// services the catalog does not have yet, and plans are always read with the
+// catalog copies, so changing a service changes it in every plan that links
+// it. Only saveService changes a catalog service: a plan write embedding a
+// copy that differs from the catalog throws a ServiceConflictError (./errors)
+// and changes nothing. The history keeps plans as they were saved.
+//
+// Other nested objects are shared by embedding the same copy: a plan write
+// embedding an object other plans link, with a copy that differs from theirs,
+// throws a SharedObjectConflictError and changes nothing. Both errors extend
+// ObjectConflictError.
+
+const backends = {
+  redis: './redisStore',
+  memory: './memoryStore',
+  mongo: './mongoStore',
+};
+
+const backend = process.env.STORAGE_BACKEND || 'redis';
+
+if (!backends[backend]) {
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}", expected one of: ${Object.keys(backends).join(', ')}`);
+}
+
+// Only the selected backend is loaded, so e.g. the memory store never opens a Redis connection
+const store = require(backends[backend]);
+
+const SCAN_COUNT = 100;
+
+// The ids of each scanPlans page not seen on an earlier page
+async function* scanPages() {
+  const seen = new Set();
+  let cursor = 0;
+  do {
+    const page = await store.scanPlans(cursor, SCAN_COUNT);
+    const objectIds = [];
+    for (const objectId of page.objectIds) {
+      if (seen.has(objectId)) continue; // SCAN may return a key more than once
+      seen.add(objectId);
+      objectIds.push(objectId);
+    }
+    yield objectIds;
+    cursor = Number(page.cursor);
+  } while (cursor !== 0);
+}
+
+async function* eachPlanId() {
+  for await (const objectIds of scanPages()) {
+    yield* objectIds;
+  }
+}
+
+// Plans deleted since they were scanned are left out
+async function* eachPlan() {
+  for await (const objectIds of scanPages()) {
+    const plans = await Promise.all(objectIds.map((objectId) => store.getPlan(objectId)));
+    yield* plans.filter(Boolean);
+  }
+}
+
+module.exports = { ...store, eachPlanId, eachPlan };
@@ -0,0 +1,44 @@
+// Key and object helpers shared by the storage backends. Every nested object
+// that carries an objectId/objectType is addressable on its own as
+// `${objectType}:${objectId}`; the root plan always lives under `plan:${objectId}`.
+
+function planKey(objectId) {
+  return `plan:${objectId}`;
+}
+
+function objectKey(objectType, objectId) {
+  return `${objectType}:${objectId}`;
+}
+
+// Keys of data that is not a plan object (the change queue and feed, webhooks)
+// start with a {hash tag}, so an object key is anything without one
+function isObjectKey(key) {
+  return !key.startsWith('{');
+}
+
+// An object is addressable when it has both objectType and objectId
+function isNode(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+    && typeof value.objectId === 'string' && typeof value.objectType === 'string';
+}
+
+// List every addressable object below a plan as { key, parentKey, object }
+function walkObjects(plan) {
+  const found = [];
+  const visit = (value, parentKey) => {
+    for (const child of Object.values(value)) {
+      for (const item of Array.isArray(child) ? child : [child]) {
+        if (!isNode(item)) continue;
+        const key = objectKey(item.objectType, item.objectId);
+        found.push({ key, parentKey, object: item });
+        visit(item, key);
+      }
+    }
+  };
+  visit(plan, planKey(plan.objectId));
+  return found;
+}
+
+module.exports = {
+  planKey, objectKey, isObjectKey, isNode, walkObjects,
+};
@@ -0,0 +1,285 @@
+const { objectKey, walkObjects } = require('./keys');
+const { versionEntry, trashEntry } = require('./history');
+const {
+  SERVICE_TYPE, planObjects, planServices, resolveServices, checkCatalogCopy, checkSharedCopy,
+} = require('./services');
+const { PreconditionFailedError, ServiceInUseError } = require('./errors');
+
+// Plans kept in process memory, for tests and local development. Nothing
+// survives a restart. Documents are copied on the way in and out so callers
+// can never mutate what is stored. Linked services are read from the catalog,
+// so a plan always shows the current copy of its services. Writes check their
+// `expect` precondition and apply without awaiting anything in between, which
+// makes them atomic within the process.
+
+const plans = new Map();
+const versions = new Map(); // objectId -> history entries, oldest first
+const services = new Map(); // the service catalog, objectId -> service
+const trash = new Map(); // deleted plans, objectId -> trash entry
+
+function copy(value) {
+  return value === null || value === undefined ? null : structuredClone(value);
+}
+
+async function planExists(objectId) {
+  return plans.has(objectId);
+}
+
+function currentPlan(objectId) {
+  return plans.has(objectId) ? resolveServices(plans.get(objectId), services) : null;
+}
+
+async function getPlan(objectId) {
+  return currentPlan(objectId);
+}
+
+async function getObject(objectType, objectId) {
+  const key = objectKey(objectType, objectId);
+  if (objectType === 'plan') {
+    return getPlan(objectId);
+  }
+  if (objectType === SERVICE_TYPE) {
+    return getService(objectId);
+  }
+  for (const plan of plans.values()) {
+    const found = walkObjects(plan).find((entry) => entry.key === key);
+    if (found) return resolveServices(found.object, services);
+  }
+  return null;
+}
+
+async function getParents(objectType, objectId) {
+  const key = objectKey(objectType, objectId);
+  const parents = new Set();
+  for (const plan of plans.values()) {
+    walkObjects(plan)
+      .filter((entry) => entry.key === key)
+      .forEach((entry) => parents.add(entry.parentKey));
+  }
+  return [...parents];
+}
+
+// Same contract as SCAN: start at 0, keep going until the cursor comes back 0
+async function scanPlans(cursor = 0, count = 100) {
+  const objectIds = [...plans.keys()].sort();
+  const end = cursor + count;
+  return {
+    cursor: end >= objectIds.length ? 0 : end,
+    objectIds: objectIds.slice(cursor, end),
+  };
+}
+
+function appendVersion(objectId, plan, change) {
+  const history = versions.get(objectId) || [];
+  history.push({ version: history.length + 1, ...versionEntry(copy(plan), change) });
+  versions.set(objectId, history);
+}
+
+function checkExpected(current, expect) {
+  if (expect && !expect(current)) {
+    throw new PreconditionFailedError('Stored object is not in the expected state');
+  }
+}
+
+// The services a plan embeds have to match the catalog; new ones are added to it
+function checkServices(plan) {
+  planServices(plan).forEach((service) => checkCatalogCopy(service, services.get(service.objectId) || null));
+}
+
+// The other nested objects a plan embeds have to match the copies other plans
+// link, compared with the catalog copies of the services inside them
+function checkSharedObjects(plan) {
+  for (const [key, object] of planObjects(plan)) {
+    const shared = new Map();
+    for (const [objectId, other] of plans) {
+      const found = objectId !== plan.objectId && walkObjects(other).find((entry) => entry.key === key);
+      if (found) shared.set(objectId, resolveServices(found.object, services));
+    }
+    checkSharedCopy(key, resolveServices(object, services), shared);
+  }
+}
+
+function writePlan(plan, change) {
+  plans.set(plan.objectId, copy(plan));
+  planServices(plan)
+    .filter((service) => !services.has(service.objectId))
+    .forEach((service) => services.set(service.objectId, copy(service)));
+  appendVersion(plan.objectId, plan, change);
+}
+
+function dropPlan(objectId, change) {
+  trash.set(objectId, trashEntry(currentPlan(objectId), change));
+  plans.delete(objectId);
+  appendVersion(objectId, null, change);
+}
+
+async function savePlan(plan, change, expect) {
+  checkExpected(currentPlan(plan.objectId), expect);
+  checkServices(plan);
+  checkSharedObjects(plan);
+  writePlan(plan, change);
+  return plan;
+}
+
+async function deletePlan(objectId, change, expect) {
+  if (!plans.has(objectId)) {
+    return false;
+  }
+  checkExpected(currentPlan(objectId), expect);
+  dropPlan(objectId, change);
+  return true;
+}
+
+// Every check runs before the first write, so a failed one changes nothing
+async function applyBatch(writes) {
+  for (const { plan, objectId = plan.objectId, expect } of writes) {
+    if (!plan && !plans.has(objectId)) {
+      throw new PreconditionFailedError('Plan does not exist');
+    }
+    checkExpected(currentPlan(objectId), expect);
+    if (plan) {
+      checkServices(plan);
+      checkSharedObjects(plan);
+    }
+  }
+  for (const { plan, objectId, change } of writes) {
+    if (plan) {
+      writePlan(plan, change);
+    } else {
+      dropPlan(objectId, change);
+    }
+  }
+}
+
+async function getDeletedPlan(objectId) {
+  return copy(trash.get(objectId));
+}
+
+async function listDeletedPlans() {
+  return [...trash.entries()]
+    .map(([objectId, { deletedAt, deletedBy }]) => ({ objectId, deletedAt, deletedBy }))
+    .sort((a, b) => a.deletedAt.localeCompare(b.deletedAt));
+}
+
+async function restorePlan(plan, change) {
+  if (!trash.has(plan.objectId)) {
+    return false;
+  }
+  if (plans.has(plan.objectId)) {
+    throw new PreconditionFailedError('A plan with this objectId exists');
+  }
+  checkServices(plan);
+  checkSharedObjects(plan);
+  writePlan(plan, change);
+  trash.delete(plan.objectId);
+  return true;
+}
+
+async function purgeDeletedPlans(before) {
+  const purged = [...trash.entries()]
+    .filter(([, entry]) => Date.parse(entry.deletedAt) <= before)
+    .map(([objectId]) => objectId);
+  for (const objectId of purged) {
+    trash.delete(objectId);
+    if (!plans.has(objectId)) versions.delete(objectId);
+  }
+  return purged;
+}
+
+async function getVersions(objectId) {
+  return copy(versions.get(objectId)) || [];
+}
+
+async function getVersion(objectId, version) {
+  if (!Number.isInteger(version) || version < 1) return null;
+  const history = versions.get(objectId) || [];
+  return copy(history[version - 1]);
+}
+
+async function getLatestVersion(objectId) {
+  const history = versions.get(objectId) || [];
+  return copy(history[history.length - 1]);
+}
+
+async function getService(objectId) {
+  return copy(services.get(objectId));
+}
+
+async function listServices() {
+  return [...services.keys()].sort().map((objectId) => copy(services.get(objectId)));
+}
+
+async function saveService(service, expect) {
+  checkExpected(copy(services.get(service.objectId)), expect);
+  services.set(service.objectId, copy(service));
+  return service;
+}
+
+function servicePlans(objectId) {
+  const key = objectKey(SERVICE_TYPE, objectId);
+  return [...plans.values()]
+    .filter((plan) => walkObjects(plan).some((entry) => entry.key === key))
+    .map((plan) => plan.objectId)
+    .sort();
+}
+
+async function deleteService(objectId, expect) {
+  if (!services.has(objectId)) {
+    return false;
+  }
+  checkExpected(copy(services.get(objectId)), expect);
+  const linked = servicePlans(objectId);
+  if (linked.length > 0) {
+    throw new ServiceInUseError(objectId, linked);
+  }
+  return services.delete(objectId);
+}
+
+async function getServicePlans(objectId) {
+  return servicePlans(objectId);
+}
+
+// Plans are kept whole, so nothing can be left behind when one is deleted
+async function sweepOrphans({ purge = false } = {}) {
+  return {
+    orphans: [],
+    parentSets: [],
+    staleLinks: [],
+    purged: purge,
+  };
+}
+
+async function connect() {}
+
+async function close() {
+  plans.clear();
+  versions.clear();
+  services.clear();
+  trash.clear();
+}
+
+module.exports = {
+  connect,
+  close,
+  planExists,
+  getPlan,
+  getObject,
+  getParents,
+  scanPlans,
+  savePlan,
+  deletePlan,
+  applyBatch,
+  getVersions,
+  getVersion,
+  getLatestVersion,
+  getDeletedPlan,
+  listDeletedPlans,
+  restorePlan,
+  purgeDeletedPlans,
+  getService,
+  listServices,
+  saveService,
+  deleteService,
+  getServicePlans,
+  sweepOrphans,
+};
@@ -0,0 +1,414 @@
+const mongoose = require('mongoose');
+const { objectKey, walkObjects } = require('./keys');
+const { versionEntry, trashEntry } = require('./history');
+const {
+  SERVICE_TYPE, planObjects, planServices, resolveServices, checkCatalogCopy, checkSharedCopy,
+} = require('./services');
+const { PreconditionFailedError, ServiceInUseError } = require('./errors');
+const { retry } = require('../retry');
+
+// Plans stored as whole documents in MongoDB. Next to the plan itself each
+// record lists the keys of its nested objects (with their parent key), so a
+// single service or cost share can be found through an index instead of a
+// collection scan. Linked services also live in a catalog collection of their
+// own and are read from there, so a plan always shows their current copy.
+//
+// Every plan write is one transaction: the record, its history entry and the
+// trash change together, and writers racing on a plan are retried one after
+// the other, so version numbers follow the order of the writes. Transactions
+// need MongoDB to run as a replica set (a single node one will do).
+
+const planRecordSchema = new mongoose.Schema({
+  _id: String, // the plan objectId
+  plan: { type: mongoose.Schema.Types.Mixed, required: true },
+  objects: [{ _id: false, key: String, parentKey: String }],
+  revision: Number, // bumped on every write, for compare-and-set
+}, { versionKey: false, minimize: false });
+
+planRecordSchema.index({ 'objects.key': 1 });
+
+const PlanRecord = mongoose.model('Plan', planRecordSchema);
+
+// One document per stored version; the history is append-only
+const planVersionSchema = new mongoose.Schema({
+  planId: { type: String, required: true },
+  version: { type: Number, required: true },
+  timestamp: String,
+  user: String,
+  operation: String,
+  etag: String,
+  plan: mongoose.Schema.Types.Mixed,
+}, { versionKey: false, minimize: false });
+
+planVersionSchema.index({ planId: 1, version: 1 }, { unique: true });
+
+const PlanVersion = mongoose.model('PlanVersion', planVersionSchema);
+
+// The service catalog, one document per service
+const serviceRecordSchema = new mongoose.Schema({
+  _id: String, // the service objectId
+  service: { type: mongoose.Schema.Types.Mixed, required: true },
+  linkedAt: String, // last plan write linking it, see writeServices()
+}, { versionKey: false, minimize: false });
+
+const ServiceRecord = mongoose.model('Service', serviceRecordSchema);
+
+// Deleted plans, kept until they are restored or purged
+const trashRecordSchema = new mongoose.Schema({
+  _id: String, // the plan objectId
+  plan: { type: mongoose.Schema.Types.Mixed, required: true },
+  deletedAt: String,
+  deletedBy: String,
+}, { versionKey: false, minimize: false });
+
+trashRecordSchema.index({ deletedAt: 1 });
+
+const TrashRecord = mongoose.model('TrashedPlan', trashRecordSchema);
+
+mongoose.connection.on('error', (err) => {
+  console.error('MongoDB Connection Error', err);
+});
+
+async function planExists(objectId) {
+  return (await PlanRecord.exists({ _id: objectId })) !== null;
+}
+
+// `value` with its linked services swapped for their catalog copies
+async function withCatalogServices(value, session = null) {
+  const objectIds = planServices(value).map((service) => service.objectId);
+  if (objectIds.length === 0) return value;
+  const records = await ServiceRecord.find({ _id: { $in: objectIds } }, null, { session }).lean();
+  return resolveServices(value, new Map(records.map((record) => [record._id, record.service])));
+}
+
+async function getPlan(objectId) {
+  const record = await PlanRecord.findById(objectId).lean();
+  return record ? withCatalogServices(record.plan) : null;
+}
+
+async function getObject(objectType, objectId) {
+  if (objectType === 'plan') {
+    return getPlan(objectId);
+  }
+  if (objectType === SERVICE_TYPE) {
+    return getService(objectId);
+  }
+  const key = objectKey(objectType, objectId);
+  const record = await PlanRecord.findOne({ 'objects.key': key }, { plan: 1 }).lean();
+  if (!record) return null;
+  return withCatalogServices(walkObjects(record.plan).find((entry) => entry.key === key).object);
+}
+
+async function getParents(objectType, objectId) {
+  const key = objectKey(objectType, objectId);
+  const records = await PlanRecord.find({ 'objects.key': key }, { objects: 1 }).lean();
+  const parents = new Set();
+  for (const record of records) {
+    record.objects
+      .filter((entry) => entry.key === key)
+      .forEach((entry) => parents.add(entry.parentKey));
+  }
+  return [...parents];
+}
+
+// Same contract as SCAN: start at 0, keep going until the cursor comes back 0
+async function scanPlans(cursor = 0, count = 100) {
+  const records = await PlanRecord.find({}, { _id: 1 }).sort({ _id: 1 }).skip(cursor).limit(count).lean();
+  return {
+    cursor: records.length < count ? 0 : cursor + count,
+    objectIds: records.map((record) => record._id),
+  };
+}
+
+// Next to the latest entry; only safe inside the transaction that wrote the record
+async function appendVersion(objectId, plan, change, session) {
+  const latest = await PlanVersion.findOne({ planId: objectId }, { version: 1 }, { session })
+    .sort({ version: -1 })
+    .lean();
+  const version = latest ? latest.version + 1 : 1;
+  await PlanVersion.create([{ planId: objectId, version, ...versionEntry(plan, change) }], { session });
+}
+
+// Linked services have to match their catalog copy; the ones the catalog
+// does not have yet are added to it
+// Linked services are written even when the catalog has them: a transaction
+// only conflicts with another one writing the same document, and this way a
+// plan linking a service and deleteService() removing it cannot both commit.
+async function writeServices(plan, session) {
+  const linkedAt = new Date().toISOString();
+  for (const service of planServices(plan)) {
+    const record = await ServiceRecord.findById(service.objectId, null, { session }).lean();
+    checkCatalogCopy(service, record ? record.service : null);
+    if (record) {
+      await ServiceRecord.updateOne({ _id: service.objectId }, { $set: { linkedAt } }, { session });
+    } else {
+      await ServiceRecord.create([{ _id: service.objectId, service, linkedAt }], { session });
+    }
+  }
+}
+
+// The other nested objects a plan embeds have to match the copies other plans
+// keep of them, so a shared object reads the same from every plan
+async function checkSharedObjects(plan, session) {
+  const objects = planObjects(plan);
+  if (objects.size === 0) return;
+  const records = await PlanRecord.find(
+    { _id: { $ne: plan.objectId }, 'objects.key': { $in: [...objects.keys()] } },
+    { plan: 1 },
+    { session },
+  ).lean();
+  for (const [key, object] of objects) {
+    const shared = new Map();
+    for (const record of records) {
+      const found = walkObjects(record.plan).find((entry) => entry.key === key);
+      if (found) shared.set(record._id, await withCatalogServices(found.object, session));
+    }
+    checkSharedCopy(key, await withCatalogServices(object, session), shared);
+  }
+}
+
+async function trashPlan(objectId, plan, change, session) {
+  const entry = { _id: objectId, ...trashEntry(plan, change) };
+  await TrashRecord.replaceOne({ _id: objectId }, entry, { upsert: true, session });
+}
+
+const DUPLICATE_KEY = 11000;
+
+// Replace the plan record only if it still has the revision that was read
+// (insert it if there was none); throws PreconditionFailedError otherwise
+async function replaceRecord(record, plan, session) {
+  const objects = walkObjects(plan).map(({ key, parentKey }) => ({ key, parentKey }));
+  const next = { _id: plan.objectId, plan, objects, revision: record ? (record.revision || 0) + 1 : 1 };
+  if (record) {
+    // Records written before revisions existed have none, which null matches
+    const filter = { _id: plan.objectId, revision: record.revision ?? null };
+    const result = await PlanRecord.replaceOne(filter, next, { session });
+    if (result.matchedCount === 0) throw new PreconditionFailedError();
+    return;
+  }
+  try {
+    await PlanRecord.create([next], { session });
+  } catch (err) {
+    if (err.code === DUPLICATE_KEY) throw new PreconditionFailedError();
+    throw err;
+  }
+}
+
+// One write of a transaction: saves { plan, change, expect } or deletes
+// { objectId, change, expect }. `expect(current)` gets the plan as stored
+// (null if there is none) and decides whether the write goes ahead. Returns
+// false for a delete of a plan that does not exist.
+async function applyWrite({ plan, objectId = plan.objectId, change, expect }, session) {
+  const record = await PlanRecord.findById(objectId, { plan: 1, revision: 1 }, { session }).lean();
+  const current = record ? await withCatalogServices(record.plan, session) : null;
+  if (!plan && !record) return false;
+  if (expect && !expect(current)) {
+    throw new PreconditionFailedError('Plan is not in the expected state');
+  }
+
+  if (plan) {
+    await writeServices(plan, session);
+    await checkSharedObjects(plan, session);
+    await replaceRecord(record, plan, session);
+    await appendVersion(objectId, plan, change, session);
+  } else {
+    await PlanRecord.deleteOne({ _id: objectId }, { session });
+    await appendVersion(objectId, null, change, session);
+    await trashPlan(objectId, current, change, session);
+  }
+  return true;
+}
+
+// A transaction sees the plan as one snapshot, so a writer that loses the race
+// conflicts with the one that won and is run again by the driver
+async function savePlan(plan, change, expect) {
+  await mongoose.connection.transaction((session) => applyWrite({ plan, change, expect }, session));
+  return plan;
+}
+
+// The trash gets the copy that was deleted
+async function deletePlan(objectId, change, expect) {
+  let deleted = false;
+  await mongoose.connection.transaction(async (session) => {
+    deleted = await applyWrite({ objectId, change, expect }, session);
+  });
+  return deleted;
+}
+
+// Every write in one MongoDB transaction, so a failed check aborts them all
+async function applyBatch(writes) {
+  await mongoose.connection.transaction(async (session) => {
+    for (const write of writes) {
+      if (!(await applyWrite(write, session))) {
+        throw new PreconditionFailedError('Plan does not exist');
+      }
+    }
+  });
+}
+
+async function getDeletedPlan(objectId) {
+  return TrashRecord.findById(objectId, { _id: 0 }).lean();
+}
+
+async function listDeletedPlans() {
+  const records = await TrashRecord.find({}, { plan: 0 }).sort({ deletedAt: 1 }).lean();
+  return records.map(({ _id, deletedAt, deletedBy }) => ({ objectId: _id, deletedAt, deletedBy }));
+}
+
+// The plan leaves the trash in the same transaction that stores it again
+async function restorePlan(plan, change) {
+  let restored = false;
+  await mongoose.connection.transaction(async (session) => {
+    const result = await TrashRecord.deleteOne({ _id: plan.objectId }, { session });
+    restored = result.deletedCount === 1;
+    if (!restored) return;
+    // Only inserts, so a plan created with this objectId in the meantime stays
+    await applyWrite({ plan, change, expect: (current) => current === null }, session);
+  });
+  return restored;
+}
+
+async function purgeDeletedPlans(before) {
+  const records = await TrashRecord.find({ deletedAt: { $lte: new Date(before).toISOString() } }, { deletedAt: 1 }).lean();
+  const purged = [];
+  for (const record of records) {
+    // Skipped if it was restored or deleted again in the meantime
+    const result = await TrashRecord.deleteOne({ _id: record._id, deletedAt: record.deletedAt });
+    if (result.deletedCount !== 1) continue;
+    if (!(await planExists(record._id))) {
+      await PlanVersion.deleteMany({ planId: record._id });
+    }
+    purged.push(record._id);
+  }
+  return purged;
+}
+
+const versionFields = { _id: 0, planId: 0 };
+
+async function getVersions(objectId) {
+  return PlanVersion.find({ planId: objectId }, versionFields).sort({ version: 1 }).lean();
+}
+
+async function getVersion(objectId, version) {
+  return PlanVersion.findOne({ planId: objectId, version }, versionFields).lean();
+}
+
+async function getLatestVersion(objectId) {
+  return PlanVersion.findOne({ planId: objectId }, versionFields).sort({ version: -1 }).lean();
+}
+
+async function getService(objectId) {
+  const record = await ServiceRecord.findById(objectId).lean();
+  return record ? record.service : null;
+}
+
+async function listServices() {
+  const records = await ServiceRecord.find({}).sort({ _id: 1 }).lean();
+  return records.map((record) => record.service);
+}
+
+async function saveService(service, expect) {
+  const next = { _id: service.objectId, service };
+  if (!expect) {
+    await ServiceRecord.replaceOne({ _id: service.objectId }, next, { upsert: true });
+    return service;
+  }
+
+  const record = await ServiceRecord.findById(service.objectId).lean();
+  if (!expect(record ? record.service : null)) {
+    throw new PreconditionFailedError('Service is not in the expected state');
+  }
+  if (record) {
+    // Only replaces the service as it was checked
+    const result = await ServiceRecord.replaceOne({ _id: service.objectId, service: record.service }, next);
+    if (result.matchedCount === 0) throw new PreconditionFailedError();
+  } else {
+    try {
+      await ServiceRecord.create(next);
+    } catch (err) {
+      if (err.code === DUPLICATE_KEY) throw new PreconditionFailedError();
+      throw err;
+    }
+  }
+  return service;
+}
+
+// The links are checked in the same transaction as the delete; a plan write
+// linking the service at the same time conflicts with it (see writeServices)
+async function deleteService(objectId, expect) {
+  let deleted = false;
+  await mongoose.connection.transaction(async (session) => {
+    const record = await ServiceRecord.findById(objectId, null, { session }).lean();
+    deleted = Boolean(record);
+    if (!record) return;
+    if (expect && !expect(record.service)) {
+      throw new PreconditionFailedError('Service is not in the expected state');
+    }
+    const plans = await getServicePlans(objectId, session);
+    if (plans.length > 0) {
+      throw new ServiceInUseError(objectId, plans);
+    }
+    await ServiceRecord.deleteOne({ _id: objectId }, { session });
+  });
+  return deleted;
+}
+
+async function getServicePlans(objectId, session = null) {
+  const records = await PlanRecord.find({ 'objects.key': objectKey(SERVICE_TYPE, objectId) }, { _id: 1 }, { session })
+    .sort({ _id: 1 })
+    .lean();
+  return records.map((record) => record._id);
+}
+
+// Plans are stored whole, so nothing can be left behind when one is deleted
+async function sweepOrphans({ purge = false } = {}) {
+  return {
+    orphans: [],
+    parentSets: [],
+    staleLinks: [],
+    purged: purge,
+  };
+}
+
+const MAX_RETRIES = Number(process.env.MONGODB_CONNECT_RETRIES || 10);
+
+// Retry with backoff until MongoDB answers
+async function connect() {
+  const uri = process.env.MONGODB_URI || 'mongodb://localhost:27017/plans';
+  try {
+    await retry(() => mongoose.connect(uri), MAX_RETRIES);
+  } catch (err) {
+    throw new Error(`Could not connect to MongoDB after ${MAX_RETRIES} attempts: ${err.message}`);
+  }
+  console.log('Connected to MongoDB');
+}
+
+async function close() {
+  await mongoose.disconnect();
+}
+
+module.exports = {
+  connect,
+  close,
+  planExists,
+  getPlan,
+  getObject,
+  getParents,
+  scanPlans,
+  savePlan,
+  deletePlan,
+  applyBatch,
+  getVersions,
+  getVersion,
+  getLatestVersion,
+  getDeletedPlan,
+  listDeletedPlans,
+  restorePlan,
+  purgeDeletedPlans,
+  getService,
+  listServices,
+  saveService,
+  deleteService,
+  getServicePlans,
+  sweepOrphans,
+};
@@ -0,0 +1,671 @@
+const { WatchError } = require('redis');
+const {
+  connectRedis, getRedisClient, closeRedis, isolated,
+} = require('../redisConnection');
+const {
+  planKey, objectKey, isObjectKey, isNode,
+} = require('./keys');
+const { versionEntry, trashEntry } = require('./history');
+const {
+  SERVICE_TYPE, planObjects, planServices, checkCatalogCopy, checkSharedCopy,
+} = require('./services');
+const { PreconditionFailedError, ServiceInUseError } = require('./errors');
+
+// A plan is not stored as one JSON string. Every nested object that carries an
+// objectId/objectType is split out into its own Redis hash keyed
+// `${objectType}:${objectId}` (the root always lives under `plan:${objectId}`).
+// Hash fields hold JSON-encoded values so numbers come back as numbers, and a
+// field pointing at a nested object holds a { $ref: <childKey> } edge instead.
+// Every child also gets a `${childKey}:parents` set with the keys of the objects
+// that link to it. The history of a plan is an append-only list of JSON
+// entries under `plan:${objectId}:versions`.
+//
+// Services are shared: `service:${objectId}` is the catalog entry every plan
+// linking the service points at, and it outlives those plans. The ids of all
+// catalog services are kept in the `catalog:services` set.
+//
+// A deleted plan goes to the trash: its last document is kept as a JSON string
+// under `trash:plan:${objectId}` until it is restored or purged, and the
+// `trash:plans` sorted set holds the ids of trashed plans by deletion time.
+
+const CATALOG = 'catalog:services';
+const TRASH = 'trash:plans';
+
+// Unconditional writes that keep losing the race give up after this many tries
+const CAS_ATTEMPTS = 5;
+
+function parentsKey(key) {
+  return `${key}:parents`;
+}
+
+function versionsKey(objectId) {
+  return `${planKey(objectId)}:versions`;
+}
+
+function trashKey(objectId) {
+  return `trash:${planKey(objectId)}`;
+}
+
+function serviceKey(objectId) {
+  return objectKey(SERVICE_TYPE, objectId);
+}
+
+function isServiceKey(key) {
+  return key.startsWith(serviceKey(''));
+}
+
+function isRef(value) {
+  return value !== null && typeof value === 'object' && typeof value.$ref === 'string';
+}
+
+// Split a document into a Map of key -> { fields, parents }, root first
+function decompose(doc, key, nodes = new Map(), parentKey = null) {
+  const node = nodes.get(key) || { fields: {}, parents: new Set() };
+  nodes.set(key, node);
+  if (parentKey) node.parents.add(parentKey);
+
+  const link = (value) => {
+    if (!isNode(value)) return value;
+    const childKey = objectKey(value.objectType, value.objectId);
+    decompose(value, childKey, nodes, key);
+    return { $ref: childKey };
+  };
+
+  for (const [field, value] of Object.entries(doc)) {
+    const stored = Array.isArray(value) ? value.map(link) : link(value);
+    node.fields[field] = JSON.stringify(stored);
+  }
+  return nodes;
+}
+
+// Read a hash back and resolve its edges into a full document
+async function loadNode(key) {
+  const fields = await getRedisClient().hGetAll(key);
+  if (!fields || Object.keys(fields).length === 0) {
+    return null;
+  }
+
+  const resolve = (value) => (isRef(value) ? loadNode(value.$ref) : value);
+
+  const doc = {};
+  for (const [field, raw] of Object.entries(fields)) {
+    const value = JSON.parse(raw);
+    doc[field] = Array.isArray(value)
+      ? await Promise.all(value.map(resolve))
+      : await resolve(value);
+  }
+  return doc;
+}
+
+// Collect every object reachable from `key`, including `key` itself, as a
+// Map of key -> keys of the objects it links to
+async function collectGraph(key, graph = new Map()) {
+  if (graph.has(key)) return graph;
+  const fields = await getRedisClient().hGetAll(key);
+  if (!fields || Object.keys(fields).length === 0) return graph;
+  const children = [];
+  graph.set(key, children);
+
+  for (const raw of Object.values(fields)) {
+    const value = JSON.parse(raw);
+    const refs = (Array.isArray(value) ? value : [value]).filter(isRef);
+    for (const ref of refs) {
+      children.push(ref.$ref);
+      await collectGraph(ref.$ref, graph);
+    }
+  }
+  return graph;
+}
+
+function queueDelete(multi, keys) {
+  for (const key of keys) {
+    multi.del(key);
+    multi.del(parentsKey(key));
+  }
+}
+
+// Queue the removal of a plan graph (from collectGraph). Objects the plan owns
+// go; objects still linked from outside the graph - shared with another plan -
+// and catalog services stay with everything below them, and only lose the
+// parents that are being removed.
+async function queueDropGraph(multi, graph) {
+  const parents = new Map();
+  for (const key of graph.keys()) {
+    parents.set(key, await getRedisClient().sMembers(parentsKey(key)));
+  }
+
+  const kept = new Set();
+  const keep = (key) => {
+    if (kept.has(key) || !graph.has(key)) return;
+    kept.add(key);
+    graph.get(key).forEach(keep);
+  };
+  for (const [key, linkedFrom] of parents) {
+    if (isServiceKey(key) || linkedFrom.some((parent) => !graph.has(parent))) keep(key);
+  }
+
+  queueDelete(multi, [...graph.keys()].filter((key) => !kept.has(key)));
+  for (const key of kept) {
+    const removed = parents.get(key).filter((parent) => graph.has(parent) && !kept.has(parent));
+    if (removed.length > 0) {
+      multi.sRem(parentsKey(key), removed);
+    }
+  }
+}
+
+function queueWrite(multi, nodes) {
+  for (const [key, node] of nodes) {
+    multi.hSet(key, node.fields);
+    if (node.parents.size > 0) {
+      multi.sAdd(parentsKey(key), [...node.parents]);
+    }
+  }
+}
+
+// Optimistic compare-and-set. `prepare(client)` WATCHes (through `client`)
+// whatever it reads beyond `keys`, which are already watched, checks its
+// precondition and returns the MULTI with its writes, or null to write
+// nothing. EXEC fails if anything watched changed in between: a conditional
+// write then fails with PreconditionFailedError, an unconditional one is
+// prepared again on the new state. Resolves to whether anything was written.
+async function compareAndSet(keys, conditional, prepare) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await isolated(async (client) => {
+        if (keys.length > 0) await client.watch(keys);
+        let multi;
+        try {
+          multi = await prepare(client);
+        } catch (err) {
+          await client.unwatch();
+          throw err;
+        }
+        if (!multi) {
+          await client.unwatch();
+          return false;
+        }
+        await multi.exec();
+        return true;
+      });
+    } catch (err) {
+      if (!(err instanceof WatchError)) throw err;
+      if (conditional || attempt === CAS_ATTEMPTS) {
+        throw new PreconditionFailedError(conditional ? undefined : `Still changing after ${attempt} attempts`);
+      }
+    }
+  }
+}
+
+// Read a plan graph for a compare-and-set: every object and its parents set
+// is watched before being relied on. Every plan write also appends to the
+// versions list, which is watched up front.
+async function watchPlanGraph(client, objectId) {
+  const graph = await collectGraph(planKey(objectId));
+  await client.watch([...graph.keys()].flatMap((key) => [key, parentsKey(key)]));
+  return graph;
+}
+
+// `expect(current)` is called with the plan as stored (null if there is none)
+// and decides whether the write goes ahead
+async function checkExpected(objectId, expect) {
+  if (expect && !expect(await loadNode(planKey(objectId)))) {
+    throw new PreconditionFailedError('Plan is not in the expected state');
+  }
+}
+
+async function planExists(objectId) {
+  return (await getRedisClient().exists(planKey(objectId))) === 1;
+}
+
+async function getPlan(objectId) {
+  return loadNode(planKey(objectId));
+}
+
+// Fetch any stored object (plan, service, cost share...) on its own
+async function getObject(objectType, objectId) {
+  return loadNode(objectKey(objectType, objectId));
+}
+
+// Returns the keys of the objects that link to the given object
+async function getParents(objectType, objectId) {
+  return getRedisClient().sMembers(parentsKey(objectKey(objectType, objectId)));
+}
+
+// One non-blocking SCAN step. Returns the next cursor (0 once the keyspace
+// has been walked) and the keys it found.
+async function scanStep(cursor, options) {
+  const reply = await getRedisClient().scan(cursor, options);
+  return { cursor: Number(reply.cursor), keys: reply.keys };
+}
+
+async function scanAll(options) {
+  const keys = [];
+  let cursor = 0;
+  do {
+    const step = await scanStep(cursor, { COUNT: 500, ...options });
+    keys.push(...step.keys);
+    cursor = step.cursor;
+  } while (cursor !== 0);
+  return [...new Set(keys)]; // SCAN may return a key more than once
+}
+
+// One SCAN step over the stored plans: the next cursor and the plan ids found
+async function scanPlans(cursor = 0, count = 100) {
+  const step = await scanStep(cursor, { MATCH: planKey('*'), TYPE: 'hash', COUNT: count });
+  return {
+    cursor: step.cursor,
+    objectIds: step.keys.map((key) => key.slice(planKey('').length)),
+  };
+}
+
+// Create or replace a plan. The previous graph is dropped in the same
+// transaction so objects no longer in the document do not linger, and the
+// new version is appended to the plan history. Linked services new to the
+// catalog are added to it; the others have to match their catalog copy. With
+// `expect`, this is a compare-and-set against the stored plan.
+async function savePlan(plan, change, expect) {
+  const key = planKey(plan.objectId);
+  await compareAndSet([key, versionsKey(plan.objectId)], Boolean(expect), async (client) => {
+    const multi = client.multi();
+    await queueSavePlan(client, multi, plan, change, expect);
+    return multi;
+  });
+  return plan;
+}
+
+// Watch the catalog entries of the services `plan` embeds and check that they
+// match; services the catalog does not have yet are written with the plan
+async function checkServices(client, plan) {
+  const linked = planServices(plan);
+  if (linked.length === 0) return;
+  await client.watch(linked.map((service) => serviceKey(service.objectId)));
+  for (const service of linked) {
+    checkCatalogCopy(service, await getService(service.objectId));
+  }
+}
+
+// Watch the other nested objects `plan` embeds and check that those other
+// plans link as well are the stored copy: the plans share it, so writing a
+// different one would change them too
+async function checkSharedObjects(client, plan) {
+  const objects = planObjects(plan);
+  if (objects.size === 0) return;
+  await client.watch([...objects.keys()].flatMap((key) => [key, parentsKey(key)]));
+  for (const [key, object] of objects) {
+    const others = (await linkingPlans(key)).filter((objectId) => objectId !== plan.objectId);
+    if (others.length === 0) continue;
+    const stored = await loadNode(key);
+    checkSharedCopy(key, object, new Map(others.map((objectId) => [objectId, stored])));
+  }
+}
+
+// Watch the stored graph of `plan`, check `expect` and queue the save on `multi`
+async function queueSavePlan(client, multi, plan, change, expect) {
+  const oldGraph = await watchPlanGraph(client, plan.objectId);
+  await checkExpected(plan.objectId, expect);
+  await checkServices(client, plan);
+  await checkSharedObjects(client, plan);
+
+  await queueDropGraph(multi, oldGraph);
+  queueWrite(multi, decompose(plan, planKey(plan.objectId)));
+  for (const service of planServices(plan)) {
+    multi.sAdd(CATALOG, service.objectId);
+  }
+  multi.rPush(versionsKey(plan.objectId), JSON.stringify(versionEntry(plan, change)));
+}
+
+// Remove a plan and, in the same transaction, every object it owns; shared
+// objects and catalog services stay. Returns false if missing. The plan goes
+// to the trash and the history is kept, with the delete recorded as its last
+// entry. With `expect`, this is a compare-and-set against the stored plan.
+async function deletePlan(objectId, change, expect) {
+  const key = planKey(objectId);
+  return compareAndSet([key, versionsKey(objectId)], Boolean(expect), async (client) => {
+    const multi = client.multi();
+    return (await queueDeletePlan(client, multi, objectId, change, expect)) ? multi : null;
+  });
+}
+
+// Watch the graph of a stored plan, check `expect` and queue its delete on
+// `multi`. False if there is no such plan.
+async function queueDeletePlan(client, multi, objectId, change, expect) {
+  const graph = await watchPlanGraph(client, objectId);
+  if (graph.size === 0) {
+    return false;
+  }
+  await checkExpected(objectId, expect);
+  const trashed = trashEntry(await loadNode(planKey(objectId)), change);
+
+  await queueDropGraph(multi, graph);
+  multi.rPush(versionsKey(objectId), JSON.stringify(versionEntry(null, change)));
+  multi.set(trashKey(objectId), JSON.stringify(trashed));
+  multi.zAdd(TRASH, { score: Date.parse(trashed.deletedAt), value: objectId });
+  return true;
+}
+
+// Save and delete many plans in one transaction: `writes` are { plan, change,
+// expect } to save and { objectId, change, expect } to delete. If any check
+// fails or a watched key changes, nothing is written.
+async function applyBatch(writes) {
+  const objectIds = writes.map(({ plan, objectId }) => (plan ? plan.objectId : objectId));
+  const keys = objectIds.flatMap((objectId) => [planKey(objectId), versionsKey(objectId)]);
+
+  await compareAndSet(keys, writes.some(({ expect }) => expect), async (client) => {
+    const multi = client.multi();
+    for (const [index, { plan, change, expect }] of writes.entries()) {
+      if (plan) {
+        await queueSavePlan(client, multi, plan, change, expect);
+      } else if (!(await queueDeletePlan(client, multi, objectIds[index], change, expect))) {
+        throw new PreconditionFailedError('Plan does not exist');
+      }
+    }
+    return multi;
+  });
+}
+
+async function getDeletedPlan(objectId) {
+  const raw = await getRedisClient().get(trashKey(objectId));
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function listDeletedPlans() {
+  const objectIds = await getRedisClient().zRangeByScore(TRASH, '-inf', '+inf');
+  const entries = await Promise.all(objectIds.map(getDeletedPlan));
+  return entries
+    .map((entry, index) => entry && { objectId: objectIds[index], deletedAt: entry.deletedAt, deletedBy: entry.deletedBy })
+    .filter(Boolean);
+}
+
+// Put a trashed plan back, stored as `plan`, and take it out of the trash in
+// the same transaction. False if it is not in the trash; a plan created with
+// the same objectId in the meantime is not overwritten.
+async function restorePlan(plan, change) {
+  const key = planKey(plan.objectId);
+  const nodes = decompose(plan, key);
+
+  return compareAndSet([key, versionsKey(plan.objectId), trashKey(plan.objectId)], false, async (client) => {
+    if (!(await getDeletedPlan(plan.objectId))) {
+      return null;
+    }
+    if (await planExists(plan.objectId)) {
+      throw new PreconditionFailedError('A plan with this objectId exists');
+    }
+    await checkServices(client, plan);
+    await checkSharedObjects(client, plan);
+
+    const multi = client.multi();
+    queueWrite(multi, nodes);
+    for (const service of planServices(plan)) {
+      multi.sAdd(CATALOG, service.objectId);
+    }
+    multi.rPush(versionsKey(plan.objectId), JSON.stringify(versionEntry(plan, change)));
+    multi.del(trashKey(plan.objectId));
+    multi.zRem(TRASH, plan.objectId);
+    return multi;
+  });
+}
+
+// Remove plans deleted before `before` (epoch ms) from the trash for good,
+// with their history unless the objectId is in use by a plan again. Returns
+// the ids purged.
+async function purgeDeletedPlans(before) {
+  const purged = [];
+  for (const objectId of await getRedisClient().zRangeByScore(TRASH, '-inf', before)) {
+    const keys = [planKey(objectId), versionsKey(objectId), trashKey(objectId)];
+    let removed = false;
+    await compareAndSet(keys, false, async (client) => {
+      const entry = await getDeletedPlan(objectId);
+      // Deleted again since the range was read
+      if (entry && Date.parse(entry.deletedAt) > before) {
+        return null;
+      }
+
+      // Without an entry it was restored in between and only the id is left
+      const multi = client.multi().zRem(TRASH, objectId);
+      removed = Boolean(entry);
+      if (entry) {
+        multi.del(trashKey(objectId));
+        if (!(await planExists(objectId))) {
+          multi.del(versionsKey(objectId));
+        }
+      }
+      return multi;
+    });
+    if (removed) purged.push(objectId);
+  }
+  return purged;
+}
+
+async function getVersions(objectId) {
+  const entries = await getRedisClient().lRange(versionsKey(objectId), 0, -1);
+  return entries.map((raw, index) => ({ version: index + 1, ...JSON.parse(raw) }));
+}
+
+async function getVersion(objectId, version) {
+  // LINDEX counts negative indexes from the end
+  if (!Number.isInteger(version) || version < 1) return null;
+  const raw = await getRedisClient().lIndex(versionsKey(objectId), version - 1);
+  return raw ? { version, ...JSON.parse(raw) } : null;
+}
+
+async function getLatestVersion(objectId) {
+  const length = await getRedisClient().lLen(versionsKey(objectId));
+  return length > 0 ? getVersion(objectId, length) : null;
+}
+
+async function getService(objectId) {
+  return loadNode(serviceKey(objectId));
+}
+
+async function listServices() {
+  const objectIds = (await getRedisClient().sMembers(CATALOG)).sort();
+  const services = await Promise.all(objectIds.map(getService));
+  return services.filter(Boolean);
+}
+
+// Create or replace a catalog service; every plan linking it reads the new
+// copy. With `expect`, this is a compare-and-set against the stored service.
+async function saveService(service, expect) {
+  const key = serviceKey(service.objectId);
+  await compareAndSet([key], Boolean(expect), async (client) => {
+    if (expect && !expect(await getService(service.objectId))) {
+      throw new PreconditionFailedError('Service is not in the expected state');
+    }
+
+    const multi = client.multi();
+    multi.del(key);
+    queueWrite(multi, decompose(service, key));
+    multi.sAdd(CATALOG, service.objectId);
+    return multi;
+  });
+  return service;
+}
+
+// Every plan write linking the service adds to its parents set, which is
+// watched, so a plan linking it in the meantime stops the delete
+async function deleteService(objectId, expect) {
+  const key = serviceKey(objectId);
+  return compareAndSet([key, parentsKey(key)], Boolean(expect), async (client) => {
+    const service = await getService(objectId);
+    if (!service) {
+      return null;
+    }
+    if (expect && !expect(service)) {
+      throw new PreconditionFailedError('Service is not in the expected state');
+    }
+    const plans = await getServicePlans(objectId);
+    if (plans.length > 0) {
+      throw new ServiceInUseError(objectId, plans);
+    }
+
+    return client.multi()
+      .del(key)
+      .del(parentsKey(key))
+      .sRem(CATALOG, objectId);
+  });
+}
+
+// Ids of the plans linking a service, found by following the parents sets up
+async function getServicePlans(objectId) {
+  return linkingPlans(serviceKey(objectId));
+}
+
+// Ids of the plans linking the object under `key`, by following the parents
+// sets up to the plan roots
+async function linkingPlans(key) {
+  const plans = new Set();
+  const seen = new Set();
+  const climb = async (childKey) => {
+    for (const parent of await getRedisClient().sMembers(parentsKey(childKey))) {
+      if (seen.has(parent)) continue;
+      seen.add(parent);
+      if (parent.startsWith(planKey(''))) {
+        plans.add(parent.slice(planKey('').length));
+      } else {
+        await climb(parent);
+      }
+    }
+  };
+  await climb(key);
+  return [...plans].sort();
+}
+
+// Remove what sweepOrphans found in one compare-and-set. Everything it touches
+// is watched and checked again first: a plan written since the scan may link
+// an orphan again or bring a missing object back, and that is then kept.
+// Resolves to what was removed.
+async function purgeOrphans(found) {
+  let purged = { orphans: [], parentSets: [], staleLinks: [] };
+  if (found.orphans.length + found.parentSets.length + found.staleLinks.length === 0) {
+    return purged;
+  }
+  await compareAndSet([], false, async (client) => {
+    const linkedFrom = new Map();
+    for (const key of found.orphans) {
+      await client.watch([key, parentsKey(key)]);
+      linkedFrom.set(key, await getRedisClient().sMembers(parentsKey(key)));
+    }
+
+    const objects = [
+      ...[...linkedFrom.values()].flat(),
+      ...found.staleLinks.map(({ parent }) => parent),
+      ...found.parentSets.map((key) => key.slice(0, -parentsKey('').length)),
+    ];
+    const exists = new Map();
+    for (const key of new Set(objects)) {
+      await client.watch(key);
+      exists.set(key, (await getRedisClient().exists(key)) === 1);
+    }
+    const sets = [...found.parentSets, ...found.staleLinks.map(({ key }) => parentsKey(key))];
+    if (sets.length > 0) await client.watch(sets);
+
+    // Drop orphans linked again, and what hangs off them, until nothing changes
+    const orphans = new Set(found.orphans);
+    const isGone = (key) => orphans.has(key) || !exists.get(key);
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const [key, parents] of linkedFrom) {
+        if (!orphans.has(key) || parents.every(isGone)) continue;
+        orphans.delete(key);
+        changed = true;
+      }
+    }
+    purged = {
+      orphans: [...orphans],
+      parentSets: found.parentSets.filter((key) => isGone(key.slice(0, -parentsKey('').length))),
+      staleLinks: found.staleLinks.filter(({ parent }) => isGone(parent)),
+    };
+
+    const multi = client.multi();
+    queueDelete(multi, purged.orphans);
+    purged.parentSets.forEach((key) => multi.del(key));
+    purged.staleLinks.forEach(({ key, parent }) => multi.sRem(parentsKey(key), parent));
+    return multi;
+  });
+  return purged;
+}
+
+// Find what no plan reaches any more: objects whose parents are all gone or
+// orphaned themselves, parents sets left behind by deleted objects, and
+// parents entries pointing at objects that no longer exist. Plans and catalog
+// services are roots and never orphaned. With `purge` they are removed too,
+// unless a write brought them back in the meantime; the result then lists
+// only what was removed.
+async function sweepOrphans({ purge = false } = {}) {
+  const objects = new Set((await scanAll({ TYPE: 'hash' })).filter(isObjectKey));
+  const isRoot = (key) => key.startsWith(planKey('')) || isServiceKey(key);
+
+  const linkedFrom = new Map();
+  for (const key of objects) {
+    if (key.startsWith(planKey(''))) continue;
+    linkedFrom.set(key, await getRedisClient().sMembers(parentsKey(key)));
+  }
+
+  // Orphans can hang off other orphans, so repeat until nothing changes
+  const orphans = new Set();
+  const isGone = (key) => !objects.has(key) || orphans.has(key);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const [key, parents] of linkedFrom) {
+      if (isRoot(key) || orphans.has(key) || !parents.every(isGone)) continue;
+      orphans.add(key);
+      changed = true;
+    }
+  }
+
+  const staleLinks = [];
+  for (const [key, parents] of linkedFrom) {
+    if (orphans.has(key)) continue;
+    parents.filter(isGone).forEach((parent) => staleLinks.push({ key, parent }));
+  }
+
+  const parentSets = (await scanAll({ MATCH: parentsKey('*'), TYPE: 'set' }))
+    .filter((key) => isObjectKey(key) && !objects.has(key.slice(0, -parentsKey('').length)));
+
+  const found = purge
+    ? await purgeOrphans({ orphans: [...orphans], parentSets, staleLinks })
+    : { orphans: [...orphans], parentSets, staleLinks };
+
+  return {
+    orphans: found.orphans.sort(),
+    parentSets: found.parentSets.sort(),
+    staleLinks: found.staleLinks,
+    purged: purge,
+  };
+}
+
+async function connect() {
+  await connectRedis();
+}
+
+async function close() {
+  await closeRedis();
+}
+
+module.exports = {
+  connect,
+  close,
+  planExists,
+  getPlan,
+  getObject,
+  getParents,
+  scanPlans,
+  savePlan,
+  deletePlan,
+  applyBatch,
+  getVersions,
+  getVersion,
+  getLatestVersion,
+  getDeletedPlan,
+  listDeletedPlans,
+  restorePlan,
+  purgeDeletedPlans,
+  getService,
+  listServices,
+  saveService,
+  deleteService,
+  getServicePlans,
+  sweepOrphans,
+};
@@ -0,0 +1,75 @@
+const { isDeepStrictEqual } = require('util');
+const { isNode, walkObjects } = require('./keys');
+const { ServiceConflictError, SharedObjectConflictError } = require('./errors');
+
+// Helpers for the service catalog. Services (objectType "service") are shared
+// between plans: a plan links them by objectId and the catalog holds the one
+// current copy, so renaming a service shows up in every plan linking it.
+// Other nested objects may be shared as well, by embedding the same copy.
+
+const SERVICE_TYPE = 'service';
+
+function isService(value) {
+  return isNode(value) && value.objectType === SERVICE_TYPE;
+}
+
+// Services linked from a plan, one per objectId
+function planServices(plan) {
+  const services = new Map();
+  walkObjects(plan)
+    .filter(({ object }) => isService(object))
+    .forEach(({ object }) => services.set(object.objectId, object));
+  return [...services.values()];
+}
+
+// Copy of `value` with every linked service replaced by its entry in
+// `catalog` (a Map objectId -> service); unknown services are left as they are
+function resolveServices(value, catalog) {
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveServices(item, catalog));
+  }
+  if (isService(value) && catalog.has(value.objectId)) {
+    return structuredClone(catalog.get(value.objectId));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([field, child]) => [field, resolveServices(child, catalog)]));
+  }
+  return value;
+}
+
+// Throws ServiceConflictError unless the service a plan embeds is the one in
+// the catalog (`stored`, null when the catalog does not have it yet)
+function checkCatalogCopy(service, stored) {
+  if (stored && !isDeepStrictEqual(service, stored)) {
+    throw new ServiceConflictError(service.objectId);
+  }
+}
+
+// The nested objects of a plan other than services, as a Map key -> object.
+// These are the ones a plan write may share with other plans.
+function planObjects(plan) {
+  return new Map(walkObjects(plan)
+    .filter(({ object }) => !isService(object))
+    .map(({ key, object }) => [key, object]));
+}
+
+// Throws SharedObjectConflictError unless `object`, embedded by a plan, is the
+// copy of `key` other plans link. `shared` maps their ids to that copy.
+function checkSharedCopy(key, object, shared) {
+  const differing = [...shared]
+    .filter(([, stored]) => !isDeepStrictEqual(object, stored))
+    .map(([objectId]) => objectId);
+  if (differing.length > 0) {
+    throw new SharedObjectConflictError(key, differing.sort());
+  }
+}
+
+module.exports = {
+  SERVICE_TYPE,
+  checkCatalogCopy,
+  checkSharedCopy,
+  isService,
+  planObjects,
+  planServices,
+  resolveServices,
+};
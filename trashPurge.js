@@ -0,0 +1,55 @@
+const planStore = require('./storage');
+
+// Deleted plans stay in the trash, and can be restored, for
+// TRASH_RETENTION_DAYS (default 30). The API checks every TRASH_PURGE_MINUTES
+// (default 60) and removes the ones past that window for good. Several API
+// instances purging at the same time is fine: each plan is only purged once.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function numberSetting(name, fallback, { allowZero = false } = {}) {
+  const value = Number(process.env[name] || fallback);
+  if (Number.isNaN(value) || value < 0 || (value === 0 && !allowZero)) {
+    throw new Error(`${name} must be a ${allowZero ? 'non-negative' : 'positive'} number, got "${process.env[name]}"`);
+  }
+  return value;
+}
+
+const RETENTION_DAYS = numberSetting('TRASH_RETENTION_DAYS', 30, { allowZero: true });
+const PURGE_MINUTES = numberSetting('TRASH_PURGE_MINUTES', 60);
+
+let timer = null;
+
+// When a plan deleted at `deletedAt` (ISO timestamp) will be purged
+function purgeAfter(deletedAt) {
+  return new Date(Date.parse(deletedAt) + RETENTION_DAYS * DAY_MS).toISOString();
+}
+
+async function purgeExpired() {
+  const purged = await planStore.purgeDeletedPlans(Date.now() - RETENTION_DAYS * DAY_MS);
+  if (purged.length > 0) {
+    console.log(`Purged ${purged.length} deleted plan(s) from the trash: ${purged.join(', ')}`);
+  }
+  return purged;
+}
+
+function startPurge() {
+  const run = () => purgeExpired().catch((err) => {
+    console.error('Error purging deleted plans:', err);
+  });
+  run();
+  timer = setInterval(run, PURGE_MINUTES * 60 * 1000);
+  timer.unref(); // never keeps the process alive on its own
+}
+
+function stopPurge() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  purgeAfter,
+  purgeExpired,
+  startPurge,
+  stopPurge,
+};
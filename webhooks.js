@@ -0,0 +1,412 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { getRedisClient, transaction, featureEnabled } = require('./redisConnection');
+
+// Outbound webhooks. Integrators register a URL (through /webhooks in index.js)
+// and get a POST for every plan created, updated or deleted, optionally only
+// for some event types and one _org. Deliveries are at least once; the
+// X-Webhook-Delivery header tells retries of the same delivery apart.
+//
+// Every request is signed with the secret handed out when the webhook was
+// registered:
+//
+//   X-Webhook-Timestamp: <unix seconds>
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+//
+// A delivery that does not get a 2xx within WEBHOOK_TIMEOUT_MS (default 10s)
+// is retried with exponential backoff (2s, 4s, 8s... up to an hour) until
+// WEBHOOK_MAX_ATTEMPTS (default 8). Every API instance delivers what is due;
+// a lock per delivery keeps two of them from sending it at the same time. The
+// last LOG_LENGTH deliveries of each webhook are kept for KEEP_DAYS with all
+// their attempts, and can be sent again by hand. Set WEBHOOKS=false to turn
+// deliveries off (see redisConnection.js for the default).
+//
+// Webhooks may not reach loopback, private, link-local (cloud metadata) or
+// other internal addresses, neither when registered nor when a host name
+// resolves to one at delivery time. WEBHOOK_ALLOW_PRIVATE=true lifts that, for
+// testing against a local receiver.
+
+const WEBHOOKS = '{webhooks}:subscriptions'; // hash, id -> webhook
+const DUE = '{webhooks}:due'; // sorted set of delivery ids, score = when to send
+
+function deliveryKey(deliveryId) {
+  return `{webhooks}:delivery:${deliveryId}`;
+}
+
+function logKey(webhookId) {
+  return `{webhooks}:log:${webhookId}`;
+}
+
+function lockKey(deliveryId) {
+  return `{webhooks}:lock:${deliveryId}`;
+}
+
+const EVENT_TYPES = ['created', 'updated', 'deleted'];
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const LOG_LENGTH = 100;
+const KEEP_DAYS = 7;
+const POLL_MS = 1000;
+const BATCH_SIZE = 20;
+
+// Body of POST /webhooks
+const webhookSchema = {
+  type: 'object',
+  properties: {
+    url: { type: 'string' },
+    events: {
+      type: 'array',
+      items: { type: 'string', enum: EVENT_TYPES },
+      minItems: 1,
+      uniqueItems: true,
+    },
+    _org: { type: 'string' },
+  },
+  required: ['url'],
+  additionalProperties: false,
+};
+
+// Addresses no webhook is sent to unless WEBHOOK_ALLOW_PRIVATE=true. IPv4
+// addresses mapped into IPv6 (::ffff:10.0.0.1) match the IPv4 subnets.
+const INTERNAL = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([address, prefix]) => INTERNAL.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => INTERNAL.addSubnet(address, prefix, 'ipv6'));
+
+class WebhookError extends Error {}
+
+let timer = null;
+let delivering = false;
+
+function isEnabled() {
+  return featureEnabled('WEBHOOKS');
+}
+
+// The secret never leaves the API after the webhook was created
+function withoutSecret({ secret, ...webhook }) {
+  return webhook;
+}
+
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function allowsInternal() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+}
+
+function isInternal(address) {
+  return INTERNAL.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// The first internal address `hostname` is or resolves to, or null
+async function internalAddress(hostname) {
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) return hostname;
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.promises.lookup(hostname, { all: true });
+  const internal = addresses.find(({ address }) => isInternal(address));
+  return internal ? internal.address : null;
+}
+
+// URL.hostname keeps the brackets around IPv6 addresses
+function hostOf(url) {
+  return url.hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+async function checkURL(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    throw new WebhookError('url must be an absolute URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new WebhookError('url must be an http or https URL');
+  }
+  if (allowsInternal()) return url.toString();
+
+  let internal;
+  try {
+    internal = await internalAddress(hostOf(url));
+  } catch (err) {
+    throw new WebhookError(`url host ${url.hostname} cannot be resolved`);
+  }
+  if (internal) {
+    throw new WebhookError('url must not point at a loopback, private or other internal address');
+  }
+  return url.toString();
+}
+
+// dns.lookup for delivery requests that refuses internal addresses, so a host
+// name cannot be pointed at one after the webhook was registered
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const internal = addresses.find((entry) => isInternal(entry.address));
+    if (internal && !allowsInternal()) {
+      return callback(new Error(`${hostname} resolves to the internal address ${internal.address}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+// POST `body` to `url` and resolve to the response status. Redirects are not
+// followed.
+function post(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    // Addresses are connected to without a lookup, so they are checked here
+    if (net.isIP(hostOf(target)) && isInternal(hostOf(target)) && !allowsInternal()) {
+      return reject(new Error(`${target.hostname} is an internal address`));
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+    }, (response) => {
+      response.resume(); // the body is not used, but the connection is freed
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+    });
+    const deadline = setTimeout(() => request.destroy(new Error(`No response within ${TIMEOUT_MS}ms`)), TIMEOUT_MS);
+    request.on('close', () => clearTimeout(deadline));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+async function loadWebhook(webhookId) {
+  const raw = await getRedisClient().hGet(WEBHOOKS, webhookId);
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function loadWebhooks() {
+  const entries = await getRedisClient().hGetAll(WEBHOOKS);
+  return Object.values(entries).map((raw) => JSON.parse(raw));
+}
+
+// Register a webhook for `owner` from a body matching webhookSchema. The
+// returned webhook is the only one that carries its secret.
+async function createWebhook(owner, { url, events = EVENT_TYPES, _org = null }) {
+  const webhook = {
+    id: crypto.randomUUID(),
+    url: await checkURL(url),
+    events,
+    _org,
+    owner,
+    createdAt: new Date().toISOString(),
+    secret: crypto.randomBytes(32).toString('hex'),
+  };
+  await getRedisClient().hSet(WEBHOOKS, webhook.id, JSON.stringify(webhook));
+  return webhook;
+}
+
+async function getWebhook(webhookId) {
+  const webhook = await loadWebhook(webhookId);
+  return webhook && withoutSecret(webhook);
+}
+
+async function listWebhooks(owner) {
+  return (await loadWebhooks())
+    .filter((webhook) => webhook.owner === owner)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(withoutSecret);
+}
+
+// Deliveries still due for the webhook are dropped when their turn comes
+async function deleteWebhook(webhookId) {
+  await transaction().hDel(WEBHOOKS, webhookId).del(logKey(webhookId)).exec();
+}
+
+function saveDelivery(multi, delivery) {
+  return multi.set(deliveryKey(delivery.id), JSON.stringify(delivery), { EX: KEEP_DAYS * 24 * 60 * 60 });
+}
+
+async function enqueue(webhookId, event, fields = {}) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    webhookId,
+    event,
+    status: 'pending',
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    ...fields,
+  };
+  const multi = transaction();
+  saveDelivery(multi, delivery);
+  multi.lPush(logKey(webhookId), delivery.id);
+  multi.lTrim(logKey(webhookId), 0, LOG_LENGTH - 1);
+  multi.zAdd(DUE, { score: Date.now(), value: delivery.id });
+  await multi.exec();
+  return delivery;
+}
+
+function wants(webhook, event) {
+  return webhook.events.includes(event.type) && (!webhook._org || webhook._org === event._org);
+}
+
+// Queue a delivery of a change (as described by changeFeed.describeChange) to
+// every webhook that wants it. The plan is already stored at this point, so a
+// failure is only logged.
+async function publishEvent(event) {
+  if (!isEnabled()) return;
+
+  try {
+    for (const webhook of (await loadWebhooks()).filter((candidate) => wants(candidate, event))) {
+      await enqueue(webhook.id, event);
+    }
+  } catch (err) {
+    console.error(`Error queueing webhooks for the ${event.type} event of plan ${event.objectId}:`, err);
+  }
+}
+
+async function getDelivery(webhookId, deliveryId) {
+  const raw = await getRedisClient().get(deliveryKey(deliveryId));
+  const delivery = raw && JSON.parse(raw);
+  return delivery && delivery.webhookId === webhookId ? delivery : null;
+}
+
+// The delivery log of a webhook, newest first
+async function listDeliveries(webhookId) {
+  const deliveryIds = await getRedisClient().lRange(logKey(webhookId), 0, -1);
+  const deliveries = await Promise.all(deliveryIds.map((deliveryId) => getDelivery(webhookId, deliveryId)));
+  return deliveries.filter(Boolean); // older ones may have expired
+}
+
+// Send the event of an earlier delivery again, as a new delivery. Null if the
+// delivery is not (or no longer) in the log.
+async function redeliver(webhookId, deliveryId) {
+  const original = await getDelivery(webhookId, deliveryId);
+  return original && enqueue(webhookId, original.event, { redeliveryOf: deliveryId });
+}
+
+// One POST of a delivery; resolves to the attempt as it goes in the log
+async function send(webhook, delivery) {
+  const body = JSON.stringify({ id: delivery.id, webhookId: webhook.id, event: delivery.event });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = { at: new Date().toISOString(), statusCode: null, error: null };
+  const started = Date.now();
+
+  try {
+    attempt.statusCode = await post(webhook.url, {
+      'Content-Type': 'application/json',
+      'X-Webhook-Id': webhook.id,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Event': delivery.event.type,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': sign(webhook.secret, timestamp, body),
+    }, body);
+    if (attempt.statusCode < 200 || attempt.statusCode >= 300) {
+      attempt.error = `Receiver answered ${attempt.statusCode}`;
+    }
+  } catch (err) {
+    attempt.error = err.message;
+  }
+  attempt.durationMs = Date.now() - started;
+  return attempt;
+}
+
+// Make the next attempt of a due delivery and record how it went
+async function attemptDelivery(deliveryId) {
+  const raw = await getRedisClient().get(deliveryKey(deliveryId));
+  if (!raw) {
+    await getRedisClient().zRem(DUE, deliveryId); // expired
+    return;
+  }
+  const delivery = JSON.parse(raw);
+  const multi = transaction();
+
+  const webhook = await loadWebhook(delivery.webhookId);
+  if (!webhook) {
+    delivery.status = 'cancelled';
+    await saveDelivery(multi, delivery).zRem(DUE, deliveryId).exec();
+    return;
+  }
+
+  const attempt = await send(webhook, delivery);
+  delivery.attempts.push(attempt);
+  delete delivery.nextAttemptAt;
+
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    multi.zRem(DUE, deliveryId);
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    multi.zRem(DUE, deliveryId);
+  } else {
+    const retryAt = Date.now() + Math.min(2 ** delivery.attempts.length * 1000, 60 * 60 * 1000);
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = new Date(retryAt).toISOString();
+    multi.zAdd(DUE, { score: retryAt, value: deliveryId });
+  }
+  await saveDelivery(multi, delivery).exec();
+}
+
+async function deliverDue() {
+  const client = getRedisClient();
+  const due = await client.zRangeByScore(DUE, 0, Date.now(), { LIMIT: { offset: 0, count: BATCH_SIZE } });
+
+  await Promise.all(due.map(async (deliveryId) => {
+    // The lock outlives a request, and expires if the instance holding it dies
+    const locked = await client.set(lockKey(deliveryId), '1', { NX: true, PX: TIMEOUT_MS * 2 });
+    if (!locked) return;
+    try {
+      // Another instance may have just sent it and released the lock
+      const score = await client.zScore(DUE, deliveryId);
+      if (score !== null && score <= Date.now()) {
+        await attemptDelivery(deliveryId);
+      }
+    } finally {
+      await client.del(lockKey(deliveryId));
+    }
+  }));
+}
+
+function startDeliveries() {
+  if (!isEnabled()) return;
+
+  timer = setInterval(async () => {
+    if (delivering) return; // the previous round is still waiting on receivers
+    delivering = true;
+    try {
+      await deliverDue();
+    } catch (err) {
+      console.error('Error delivering webhooks:', err);
+    } finally {
+      delivering = false;
+    }
+  }, POLL_MS);
+  timer.unref(); // never keeps the process alive on its own
+}
+
+function stopDeliveries() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  webhookSchema,
+  WebhookError,
+  isEnabled,
+  sign,
+  createWebhook,
+  getWebhook,
+  listWebhooks,
+  deleteWebhook,
+  publishEvent,
+  listDeliveries,
+  redeliver,
+  startDeliveries,
+  stopDeliveries,
+};
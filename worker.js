@@ -0,0 +1,115 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const os = require('os');
+const planStore = require('./storage');
+const { connectRedis, getRedisClient, closeRedis } = require('./redisConnection');
+const changeQueue = require('./changeQueue');
+const searchIndex = require('./searchIndex');
+
+// Search indexing worker. Runs next to the API as its own process:
+//
+//   node worker.js           consume plan change events and update the index
+//   node worker.js replay    move dead-lettered events back onto the queue
+//   node worker.js reindex   queue every stored plan for indexing again
+//   node worker.js stats     print queue, retry and dead-letter counts
+//
+// Set WORKER_NAME when running several workers on one host; each one keeps
+// its in-flight events on a processing list of its own.
+
+const WORKER_NAME = process.env.WORKER_NAME || os.hostname();
+const POLL_SECONDS = 1;
+
+// Events only carry the plan id: the current plan is read back, so handling an
+// event twice or out of order still leaves the index matching the store
+async function handleChange(event) {
+  await searchIndex.syncPlan(event.objectId, () => planStore.getPlan(event.objectId));
+}
+
+// A connection of its own for the blocking reads, to the current master
+async function openBlockingClient() {
+  const blockingClient = getRedisClient().duplicate();
+  blockingClient.on('error', (err) => console.error('Redis Client Error', err));
+  await blockingClient.connect();
+  return blockingClient;
+}
+
+async function consume() {
+  let blockingClient = await openBlockingClient();
+
+  const recovered = await changeQueue.recoverProcessing(WORKER_NAME);
+  if (recovered > 0) {
+    console.log(`Re-queued ${recovered} unfinished event(s) from a previous run`);
+  }
+
+  let running = true;
+  const stop = () => {
+    console.log('Stopping after the current event...');
+    running = false;
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  console.log(`Indexing worker ${WORKER_NAME} started`);
+  while (running) {
+    await changeQueue.promoteRetries();
+    let raw;
+    try {
+      raw = await changeQueue.nextChange(blockingClient, WORKER_NAME, POLL_SECONDS);
+    } catch (err) {
+      // The connection broke, or is left on a replica after a failover
+      console.error('Error reading the change queue:', err.message);
+      await blockingClient.disconnect().catch(() => {});
+      blockingClient = await openBlockingClient();
+      continue;
+    }
+    if (!raw) continue;
+
+    try {
+      await handleChange(JSON.parse(raw));
+      await changeQueue.ack(WORKER_NAME, raw);
+    } catch (err) {
+      console.error('Error indexing plan change:', err.message);
+      await changeQueue.fail(WORKER_NAME, raw, err);
+    }
+  }
+
+  await blockingClient.quit();
+}
+
+async function reindex() {
+  let queued = 0;
+  for await (const objectId of planStore.eachPlanId()) {
+    await changeQueue.publishChange({ type: 'reindex', objectId });
+    queued += 1;
+  }
+  return queued;
+}
+
+const commands = {
+  run: consume,
+  replay: async () => console.log(`Replayed ${await changeQueue.replayDead()} dead-lettered event(s)`),
+  reindex: async () => console.log(`Queued ${await reindex()} plan(s) for indexing`),
+  stats: async () => console.log(await changeQueue.stats()),
+};
+
+async function main() {
+  const command = commands[process.argv[2] || 'run'];
+  if (!command) {
+    throw new Error(`Unknown command "${process.argv[2]}", expected one of: ${Object.keys(commands).join(', ')}`);
+  }
+  if (process.env.STORAGE_BACKEND === 'memory') {
+    throw new Error('The memory backend only lives inside the API process; index with redis or mongo');
+  }
+
+  await Promise.all([planStore.connect(), connectRedis()]);
+  await command();
+  await planStore.close();
+  await closeRedis();
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});